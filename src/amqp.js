@@ -5,10 +5,7 @@
 
 // deps
 const Bluebird = require('bluebird');
-const gunzip = Bluebird.promisify(require('zlib').gunzip);
-const gzip = Bluebird.promisify(require('zlib').gzip);
 const uuid = require('uuid');
-const flatstr = require('flatstr');
 const stringify = require('json-stringify-safe');
 const EventEmitter = require('eventemitter3');
 const { once } = require('events');
@@ -16,12 +13,17 @@ const os = require('os');
 const is = require('is');
 const assert = require('assert');
 const opentracing = require('opentracing');
+const HLRU = require('hashlru');
+const hash = require('object-hash');
 const {
   ConnectionError,
   NotPermittedError,
   ValidationError,
   InvalidOperationError,
   ArgumentError,
+  NotSupportedError,
+  NotFoundError,
+  TimeoutError,
 } = require('common-errors');
 
 // lodash fp
@@ -30,28 +32,59 @@ const defaults = require('lodash/defaults');
 const noop = require('lodash/noop');
 const uniq = require('lodash/uniq');
 const pick = require('lodash/pick');
+const cloneDeep = require('lodash/cloneDeep');
 
 // local deps
-const { Joi, schema } = require('./schema');
+const { Joi, schema, retryPolicy } = require('./schema');
 const pkg = require('../package.json');
 const AMQP = require('./utils/transport');
 const ReplyStorage = require('./utils/reply-storage');
 const Backoff = require('./utils/recovery');
 const Cache = require('./utils/cache');
+const Codecs = require('./utils/codecs');
+const Encodings = require('./utils/encodings');
+const Contracts = require('./utils/contracts');
+const Routes = require('./utils/routes');
+const Cancellations = require('./utils/cancellation');
+const ReplyStream = require('./utils/reply-stream');
+const ResponseIterator = require('./utils/response-iterator');
+const CircuitBreaker = require('./utils/circuit-breaker');
+const deadlines = require('./utils/deadline');
+const MemoryDedupeStore = require('./utils/dedupe-store');
 const latency = require('./utils/latency');
 const loggerUtils = require('./loggers');
 const generateErrorMessage = require('./utils/error');
 const helpers = require('./helpers');
-const { kReplyHeaders } = require('./constants');
+const {
+  kReplyHeaders,
+  CANCEL_HEADER,
+  STREAM_HEADER,
+  STREAM_SEQ_HEADER,
+  STREAM_END_HEADER,
+  IDEMPOTENCY_HEADER,
+  DEADLINE_HEADER,
+  DIRECT_REPLY_TO,
+  CACHE_CONTROL_HEADER,
+  CACHE_TAGS_HEADER,
+  CACHE_INVALIDATION_HEADER,
+} = require('./constants');
 
 // serialization functions
 const { jsonSerializer, jsonDeserializer } = require('./utils/serialization');
 
 // cache references
-const { AmqpDLXError } = generateErrorMessage;
-const { wrapError, setQoS } = helpers;
+const { AmqpDLXError, AbortError, CircuitOpenError } = generateErrorMessage;
+const {
+  wrapError, setQoS, isRetryableError, parseCacheControl,
+} = helpers;
 const { Tags, FORMAT_TEXT_MAP } = opentracing;
 const PARSE_ERR = new ValidationError('couldn\'t deserialize input', 500, 'message.raw');
+const CANCEL_NOTICE = Buffer.from('null');
+
+// amount of correlation ids of discarded requests, which are remembered
+const DISCARDED_SIZE = 1000;
+// delay before the message, which is being processed by another consumer, is requeued
+const DEDUPE_REQUEUE_DELAY = 1000;
 
 /**
  * Wraps regular in a bluebird promise
@@ -78,23 +111,36 @@ const wrapPromise = (span, promise) => Bluebird.resolve((async () => {
   }
 })());
 
-const serialize = async (message, publishOptions) => {
-  let serialized;
-  switch (publishOptions.contentType) {
-    case 'application/json':
-    case 'string/utf8':
-      serialized = Buffer.from(flatstr(stringify(message, jsonSerializer)));
-      break;
+/**
+ * Serializes message using codec registered for publishOptions.contentType
+ * and compresses it based on publishOptions.contentEncoding
+ * @param  {mixed} message
+ * @param  {Object} publishOptions
+ * @param  {Codecs} codecs - codec registry
+ * @param  {Encodings} encodings - compressors registry
+ * @returns {Promise<Buffer>}
+ */
+const serialize = async (message, publishOptions, codecs, encodings) => {
+  const codec = codecs.get(publishOptions.contentType);
+  if (codec === undefined) {
+    throw new NotSupportedError('invalid content-type');
+  }
 
-    default:
-      throw new Error('invalid content-type');
+  const encoding = encodings.get(publishOptions.contentEncoding);
+  if (encoding === undefined) {
+    throw new NotSupportedError('invalid content-encoding');
   }
 
-  if (publishOptions.contentEncoding === 'gzip') {
-    return gzip(serialized);
+  const serialized = await codec.encode(message);
+
+  // small payloads are not worth compressing
+  const { compressThreshold } = publishOptions;
+  if (compressThreshold !== undefined && serialized.length < compressThreshold) {
+    publishOptions.contentEncoding = 'plain';
+    return serialized;
   }
 
-  return serialized;
+  return encoding.compress(serialized);
 };
 
 function safeJSONParse(data, log) {
@@ -110,6 +156,42 @@ const toUniqueStringArray = (routes) => (
   Array.isArray(routes) ? uniq(routes) : [routes]
 );
 
+/**
+ * Picks content-encoding for the reply based on the request properties:
+ * first supported encoding from `accept-encoding` header or the encoding of the request itself
+ * @param  {Object} properties - request properties
+ * @param  {Encodings} encodings - compressors registry
+ * @returns {string|undefined}
+ */
+const negotiateEncoding = (properties, encodings) => {
+  const { headers, contentEncoding } = properties;
+  const acceptEncoding = headers && headers['accept-encoding'];
+
+  if (typeof acceptEncoding === 'string') {
+    for (const candidate of acceptEncoding.split(',')) {
+      // q-values are not supported, preference is defined by the order
+      const [name] = candidate.split(';');
+      const encoding = name.trim();
+      if (encodings.has(encoding)) {
+        return encoding;
+      }
+    }
+  }
+
+  return encodings.has(contentEncoding) ? contentEncoding : undefined;
+};
+
+/**
+ * Key used to detect duplicate messages: messageId or idempotency key, scoped by routing key
+ * @param  {Object} properties - message properties
+ * @returns {string|undefined}
+ */
+const dedupeKey = (properties) => {
+  const { messageId, headers, routingKey } = properties;
+  const id = messageId || (headers && headers[IDEMPOTENCY_HEADER]);
+  return id ? `${routingKey}:${id}` : undefined;
+};
+
 /**
  * Routing function HOC with reply RPC enhancer
  * @param  {Function} messageHandler
@@ -122,13 +204,34 @@ const initRoutingFn = (messageHandler, transport) => {
    * @param  {AMQPMessage} raw - Raw AMQP Message Structure
    * @param  {Error} error - Error if it happened.
    * @param  {mixed} data - Response data.
+   * @param  {Object} [replyOptions] - Reply publish options, such as headers or contentType.
    * @returns {Bluebird<any>}
    */
-  function responseHandler(raw, error, data) {
-    const { properties, span } = raw;
-    return !properties.replyTo || !properties.correlationId
-      ? transport.noop(error, data, span, raw)
-      : transport.reply(properties, { error, data }, span, raw);
+  function responseHandler(raw, error, data, replyOptions) {
+    const { properties, span, cancellation } = raw;
+
+    // duplicates of the message are no longer processed
+    if (raw.dedupeKey !== undefined) {
+      transport._rememberReply(raw.dedupeKey, error, data, replyOptions);
+    }
+
+    if (!properties.replyTo || !properties.correlationId) {
+      return transport.noop(error, data, span, raw);
+    }
+
+    transport.cancellations.release(properties.correlationId);
+
+    // caller is no longer waiting for the response
+    if (cancellation.cancelled === true) {
+      return transport.noop(error, data, span, raw);
+    }
+
+    // completes streamed response
+    if (raw.stream !== undefined) {
+      return raw.stream.finish(error, data, replyOptions, span);
+    }
+
+    return transport.reply(properties, { error, data }, span, raw, replyOptions);
   }
 
   /**
@@ -142,6 +245,16 @@ const initRoutingFn = (messageHandler, transport) => {
    * @returns {Void}
    */
   return function router(message, properties, raw) {
+    // cancel notice of the request, which is being processed
+    const { headers, correlationId, replyTo } = properties;
+    if (headers && headers[CANCEL_HEADER] !== undefined) {
+      if (raw.ack) raw.ack();
+      if (raw.dedupeKey !== undefined) this._releaseDedupe(raw.dedupeKey);
+      this.cancellations.cancel(headers[CANCEL_HEADER]);
+      this.emit('after', raw);
+      return null;
+    }
+
     // add instrumentation
     const appId = safeJSONParse(properties.appId, this.log);
 
@@ -161,7 +274,51 @@ const initRoutingFn = (messageHandler, transport) => {
     // so that userland has access to it
     raw.span = span;
 
-    return messageHandler(message, properties, raw, responseHandler.bind(undefined, raw));
+    // absolute deadline of the request
+    const { routingKey } = properties;
+    const deadline = headers && headers[DEADLINE_HEADER];
+    if (typeof deadline === 'number') {
+      properties.deadline = deadline;
+
+      // caller is no longer waiting for the response - drop the message
+      if (this.config.skipExpired === true && deadline <= Date.now()) {
+        if (raw.ack) raw.ack();
+        const error = new TimeoutError(`deadline of ${routingKey} has passed before it was processed`);
+        this.log.warn({ routingKey, deadline, correlationId }, 'dropped expired request');
+
+        // retries of the request must be processed
+        if (raw.dedupeKey !== undefined) this._releaseDedupe(raw.dedupeKey);
+        return this.noop(error, undefined, span, raw);
+      }
+    }
+
+    // allows long-running handlers to stop once caller aborts the request
+    raw.cancellation = replyTo && correlationId
+      ? this.cancellations.track(correlationId)
+      : new Cancellations.CancellationToken();
+
+    const next = responseHandler.bind(undefined, raw);
+
+    // caller expects several replies
+    if (headers && headers[STREAM_HEADER] === true && replyTo && correlationId) {
+      raw.stream = new ReplyStream(this, raw, next);
+    }
+
+    // reject invalid input before it reaches the handler
+    let input = message;
+    if (this.contracts.hasRequest(routingKey)) {
+      try {
+        input = this.contracts.validateRequest(routingKey, message);
+      } catch (error) {
+        if (raw.ack) raw.ack();
+        return next(error);
+      }
+    }
+
+    // requests made by the handler inherit the deadline
+    return typeof deadline === 'number'
+      ? deadlines.run(deadline, () => messageHandler(input, properties, raw, next))
+      : messageHandler(input, properties, raw, next);
   };
 };
 
@@ -204,6 +361,19 @@ const extendMessageProperties = [
 
 const error406 = { replyCode: 406 };
 
+// publish options which are allowed to be set on the reply by the router
+const replyOptionsWhitelist = [
+  'headers',
+  'contentType',
+  'contentEncoding',
+  'gzip',
+  'compressThreshold',
+  'expiration',
+  'priority',
+  'deliveryMode',
+  'confirm',
+];
+
 /**
  * @class AMQPTransport
  */
@@ -227,7 +397,60 @@ class AMQPTransport extends EventEmitter {
     this.log.debug({ config }, 'used configuration');
 
     // init cache or pass-through operations
-    this.cache = new Cache(config.cache);
+    this.cache = new Cache(config.cache, config.cacheStore);
+
+    /**
+     * @readonly
+     * content-type -> encoder/decoder registry
+     */
+    this.codecs = new Codecs(config.codecs);
+
+    /**
+     * @readonly
+     * content-encoding -> compressor registry
+     */
+    this.encodings = new Encodings(config.encodings);
+
+    /**
+     * @readonly
+     * routing key -> request/response validators
+     */
+    this.contracts = new Contracts(config.contracts);
+
+    /**
+     * @readonly
+     * topic pattern -> message handler, used by consumed queues without own handler
+     */
+    this.routes = new Routes();
+
+    /**
+     * @readonly
+     * cancellation tokens of the requests, which are being processed
+     */
+    this.cancellations = new Cancellations();
+
+    /**
+     * @readonly
+     * processed messages, used to skip redelivered ones
+     */
+    this.dedupe = null;
+    if (config.dedupe.enabled === true) {
+      const { store = new MemoryDedupeStore(config.dedupe.size) } = config.dedupe;
+      assert(is.fn(store.get) && is.fn(store.set) && is.fn(store.delete), 'dedupe.store must implement get, set & delete');
+      this.dedupe = store;
+    }
+
+    // direct reply-to pseudo-queue can't be bound to the broadcast exchange
+    assert(
+      config.replyMode !== 'direct' || config.cacheInvalidation.enabled !== true,
+      'cacheInvalidation is not supported with replyMode: direct'
+    );
+
+    /**
+     * @private
+     * owner of messages, which are being processed by this instance
+     */
+    this._dedupeOwner = uuid.v4();
 
     /**
      * @readonly
@@ -248,10 +471,40 @@ class AMQPTransport extends EventEmitter {
      */
     this.tracer = config.tracer || new opentracing.Tracer();
 
+    /**
+     * @private
+     * routing key -> circuit breaker
+     */
+    this._circuits = new Map();
+    /**
+     * @private
+     * correlation ids of hedged & finished streamed or collecting requests, replies to which are no longer needed
+     */
+    this._discarded = HLRU(DISCARDED_SIZE);
+    /**
+     * @private
+     * dedupe key -> duplicates of the RPC request, which is being processed
+     */
+    this._duplicates = new Map();
+    /**
+     * @private
+     * requests, which identical ones may share the response of
+     */
+    this._inflight = new Map();
+    /**
+     * @private
+     * keys of cached responses, which are being refreshed in background
+     */
+    this._revalidating = new Set();
     /**
      * @private
      */
     this._replyTo = null;
+    /**
+     * @private
+     * consumer of direct reply-to, requests are published using its channel
+     */
+    this._replyConsumer = null;
     /**
      * @private
      */
@@ -272,6 +525,15 @@ class AMQPTransport extends EventEmitter {
      * @private
      */
     this._onConsume = this._onConsume.bind(this);
+    /**
+     * @private
+     */
+    this._routeMessage = this._routeMessage.bind(this);
+    /**
+     * @private
+     * establishConsumer functions of the queues, which are consumed with route handlers -> their listen routes
+     */
+    this._routedConsumers = new Map();
     /**
      * @private
      */
@@ -354,6 +616,121 @@ class AMQPTransport extends EventEmitter {
       .return(this);
   }
 
+  /**
+   * Registers encoder/decoder for a given content-type, which is used
+   * both when publishing and consuming messages
+   * @param  {string} contentType
+   * @param  {Object} codec
+   * @param  {Function} codec.encode - (message) => Buffer | Promise<Buffer>
+   * @param  {Function} codec.decode - (Buffer) => mixed | Promise<mixed>
+   * @returns {AMQPTransport}
+   */
+  registerCodec(contentType, codec) {
+    this.codecs.register(contentType, codec);
+    return this;
+  }
+
+  /**
+   * Registers compressor for a given content-encoding, which is used
+   * both when publishing and consuming messages
+   * @param  {string} contentEncoding
+   * @param  {Object} encoding
+   * @param  {Function} encoding.compress - (Buffer) => Buffer | Promise<Buffer>
+   * @param  {Function} encoding.decompress - (Buffer) => Buffer | Promise<Buffer>
+   * @returns {AMQPTransport}
+   */
+  registerEncoding(contentEncoding, encoding) {
+    this.encodings.register(contentEncoding, encoding);
+    return this;
+  }
+
+  /**
+   * Registers payload contract for a given route. Request contract is enforced
+   * both when publishing and consuming messages, response contract - when receiving replies
+   * @param  {string} route - routing key
+   * @param  {Object} contract
+   * @param  {Object|Function} [contract.request] - Joi schema or (message) => validated message
+   * @param  {Object|Function} [contract.response] - Joi schema or (data) => validated data
+   * @returns {AMQPTransport}
+   */
+  registerContract(route, contract) {
+    this.contracts.register(route, contract);
+    return this;
+  }
+
+  /**
+   * Registers message handler for a given topic pattern and binds it
+   * to the queues, which are consumed with route handlers
+   * @param  {string} pattern - routing key or topic pattern with `*` and `#` wildcards
+   * @param  {Function} handler - (message, properties, raw, next) => void
+   * @returns {Promise<AMQPTransport>}
+   */
+  async route(pattern, handler) {
+    this.routes.add(pattern, handler);
+
+    await Bluebird.map(this._routedQueues(), ({ queue }) => (
+      this.bindExchange(queue, pattern, this.config.exchangeArgs)
+    ));
+
+    return this;
+  }
+
+  /**
+   * Removes message handler of the topic pattern and unbinds it
+   * from the queues, which are consumed with route handlers,
+   * unless queue listens to the pattern itself
+   * @param  {string} pattern
+   * @returns {Promise<AMQPTransport>}
+   */
+  async unroute(pattern) {
+    if (this.routes.delete(pattern) === false) {
+      return this;
+    }
+
+    const queues = this._routedQueues().filter(({ listen }) => !listen.includes(pattern));
+    await Bluebird.map(queues, ({ queue }) => (
+      this.unbindExchange(queue, pattern)
+    ));
+
+    return this;
+  }
+
+  /**
+   * @returns {Object[]} established queues, which are consumed with route handlers, with their listen routes
+   */
+  _routedQueues() {
+    const queues = [];
+
+    for (const [establishConsumer, listen] of this._routedConsumers) {
+      const queue = this._queues.get(establishConsumer);
+      if (queue !== undefined && this._consumers.has(establishConsumer)) {
+        queues.push({ queue, listen });
+      }
+    }
+
+    return queues;
+  }
+
+  /**
+   * Passes message to the handler of its routing key
+   * @param  {mixed} message
+   * @param  {Object} properties
+   * @param  {Object} raw
+   * @param  {Function} next
+   * @returns {mixed}
+   */
+  _routeMessage(message, properties, raw, next) {
+    const { routingKey } = properties;
+    const handler = this.routes.match(routingKey);
+
+    if (handler === undefined) {
+      if (raw.ack) raw.ack();
+      return next(new NotFoundError(`no handler for route "${routingKey}"`));
+    }
+
+    return handler(message, properties, raw, next);
+  }
+
   /**
    * Noop function with empty correlation id and reply to data
    * @param  {Error} error
@@ -558,10 +935,57 @@ class AMQPTransport extends EventEmitter {
     }
   }
 
+  /**
+   * Consumes replies from direct reply-to pseudo-queue
+   */
+  async createDirectReplyConsumer(attempt = 0) {
+    const { _replyConsumer: previous } = this;
+
+    // reset current state
+    this._replyTo = false;
+    this._replyConsumer = null;
+
+    if (previous !== null) {
+      previous.removeAllListeners();
+      previous.on('error', noop);
+      previous.close();
+    }
+
+    let consumer;
+    try {
+      const messageHandler = this._onConsume(this._privateMessageRouter);
+      consumer = await this._amqp.consumeAsync(DIRECT_REPLY_TO, { noAck: true }, messageHandler);
+
+      // remove existing listeners
+      consumer.removeAllListeners('error');
+      consumer.removeAllListeners('cancel');
+
+      // consume errors - re-create when we encounter 404 or on cancel
+      consumer.on('error', this.handlePrivateConsumerError.bind(this, consumer, DIRECT_REPLY_TO));
+      consumer.once('cancel', this.handlePrivateConsumerCancel.bind(this, consumer));
+
+      this._replyConsumer = consumer;
+      this._replyTo = DIRECT_REPLY_TO;
+    } catch (e) {
+      this.log.error('direct reply-to consumer creation failed - restarting', e);
+      await Bluebird.delay(this.recovery.get('private', attempt));
+      return this.createDirectReplyConsumer(attempt + 1);
+    }
+
+    this.log.debug({ queue: this._replyTo }, 'private-queue-ready');
+    setImmediate(this._boundEmit, 'private-queue-ready');
+
+    return { consumer };
+  }
+
   /**
    * Create unnamed private queue (used for reply events)
    */
   async createPrivateQueue(attempt = 0) {
+    if (this.config.replyMode === 'direct') {
+      return this.createDirectReplyConsumer(attempt);
+    }
+
     const replyTo = this._replyTo;
     const queueOpts = {
       ...this.config.privateQueueOpts,
@@ -594,6 +1018,12 @@ class AMQPTransport extends EventEmitter {
       if (dlxConfig.enabled === true) {
         await this.bindHeadersExchange(queue, this._replyTo, dlxConfig.params, 'reply-to');
       }
+
+      // receive invalidations of cached responses broadcasted by other instances
+      const { cacheInvalidation } = this.config;
+      if (cacheInvalidation.enabled === true) {
+        await this.bindExchange(queue, '', { exchange: cacheInvalidation.exchange, type: 'fanout' });
+      }
     } catch (e) {
       this.log.error('private queue creation failed - restarting', e);
       await Bluebird.delay(this.recovery.get('private', attempt));
@@ -624,20 +1054,26 @@ class AMQPTransport extends EventEmitter {
       this.bindExchange(queue, rebindRoutes, this.config.exchangeArgs),
     ];
 
-    // bind same queue to headers exchange
+    // bind same queue to headers exchange, topic patterns, i.e. ones of route handlers, can't be matched there
     if (this.config.bindPersistantQueueToHeadersExchange === true) {
-      work.push(this.bindHeadersExchange(queue, rebindRoutes, this.config.headersExchange));
+      const headerRoutes = rebindRoutes.filter((route) => /^[^*#]+$/.test(route));
+      work.push(this.bindHeadersExchange(queue, headerRoutes, this.config.headersExchange));
     }
 
     await Bluebird.all(work);
   }
 
   /**
-   * @param {Function} messageHandler
+   * @param {Function} [messageHandler] - when omitted, messages are passed to route handlers
    * @param {Array} listen
    * @param {Object} options
+   * @param {boolean} [bindPatterns=true] - whether patterns of route handlers are bound to the queue without own
+   *                                        router, otherwise it only receives messages of the listen routes
    */
-  async createConsumedQueue(messageHandler, listen = [], options = {}) {
+  async createConsumedQueue(_messageHandler, listen = [], options = {}, bindPatterns = true) {
+    const messageHandler = _messageHandler == null ? this._routeMessage : _messageHandler;
+    const isRouted = messageHandler === this._routeMessage && bindPatterns === true;
+
     if (is.fn(messageHandler) === false || Array.isArray(listen) === false) {
       throw new ArgumentError('messageHandler and listen must be present');
     }
@@ -682,7 +1118,9 @@ class AMQPTransport extends EventEmitter {
       let createdQueue;
       try {
         const { queue } = createdQueue = await this.createQueue({ ...queueOptions });
-        await this.bindQueueToExchangeOnRoutes(listen, queue, oldQueue);
+        // patterns of the route handlers are bound alongside listen routes
+        const routes = isRouted ? uniq([...listen, ...this.routes.patterns()]) : listen;
+        await this.bindQueueToExchangeOnRoutes(routes, queue, oldQueue);
       } catch (e) {
         const err = new ConnectionError('failed to init queue or exchange', e);
         log.warn({ err }, '[consumed-queue-down]');
@@ -713,6 +1151,10 @@ class AMQPTransport extends EventEmitter {
       return queue.queueOptions.queue;
     };
 
+    if (isRouted) {
+      this._routedConsumers.set(establishConsumer, listen);
+    }
+
     // make sure we recreate queue and establish consumer on reconnect
     this.log.debug({ listen, queue: queueOptions.queue }, 'creating consumed queue');
     const queueName = await establishConsumer();
@@ -774,6 +1216,7 @@ class AMQPTransport extends EventEmitter {
     this.log.debug({ establishConsumer: !!establishConsumer }, 'fetched establish consumer');
     if (establishConsumer) {
       this.removeListener('ready', establishConsumer);
+      this._routedConsumers.delete(establishConsumer);
     }
 
     await this.closeConsumer(consumer);
@@ -933,7 +1376,7 @@ class AMQPTransport extends EventEmitter {
     const publishOptions = this._publishOptions(options);
     const message = options.skipSerialize === true
       ? _message
-      : await serialize(_message, publishOptions);
+      : await serialize(_message, publishOptions, this.codecs, this.encodings);
 
     const { _amqp: amqp } = this;
     if (!amqp) {
@@ -943,8 +1386,18 @@ class AMQPTransport extends EventEmitter {
       throw new InvalidOperationError('connection was closed');
     }
 
-    const request = await amqp
-      .publishAsync(exchange, queueOrRoute, message, publishOptions);
+    // direct reply-to requires requests to be published on the channel consuming replies
+    const { _replyConsumer: replyConsumer } = this;
+    const direct = publishOptions.replyTo === DIRECT_REPLY_TO && replyConsumer !== null;
+
+    // consuming channel is neither in confirm mode nor handles returned messages
+    if (direct && (publishOptions.confirm === true || publishOptions.mandatory === true)) {
+      throw new NotSupportedError('confirm & mandatory are not supported with direct reply-to');
+    }
+
+    const request = direct
+      ? await AMQP.publishOnChannelAsync(replyConsumer, exchange, queueOrRoute, message, publishOptions)
+      : await amqp.publishAsync(exchange, queueOrRoute, message, publishOptions);
 
     // emit original message
     this.emit('publish', queueOrRoute, _message);
@@ -976,12 +1429,14 @@ class AMQPTransport extends EventEmitter {
       [Tags.MESSAGE_BUS_DESTINATION]: `${exchange}:${route}`,
     });
 
-    return wrapPromise(span, this.sendToServer(
-      exchange,
-      route,
-      message,
-      options
-    ));
+    // validate outgoing message, unless it is pre-serialized
+    const promise = options.skipSerialize === true || !this.contracts.hasRequest(route)
+      ? this.sendToServer(exchange, route, message, options)
+      : Bluebird
+        .try(() => this.contracts.validateRequest(route, message))
+        .then((validated) => this.sendToServer(exchange, route, validated, options));
+
+    return wrapPromise(span, promise);
   }
 
   /**
@@ -1073,6 +1528,78 @@ class AMQPTransport extends EventEmitter {
     ));
   }
 
+  /**
+   * Sends a message and returns async iterator over the replies, which
+   * consumer streams using `raw.stream.write()` & `raw.stream.end()`.
+   * Timeout is restarted each time a chunk is received
+   * @param {String} route - Destination route
+   * @param {mixed} message - Message to send - will be coerced to string via stringify
+   * @param {Object} [options={}] - Additional options
+   * @param {opentracing.Span} [parentSpan] - Existing span
+   * @returns {ResponseIterator}
+   */
+  publishAndStream(route, message, options = {}, parentSpan) {
+    // opentracing instrumentation
+    const span = this.tracer.startSpan(`publishAndStream:${route}`, {
+      childOf: parentSpan,
+    });
+
+    span.addTags({
+      [Tags.SPAN_KIND]: Tags.SPAN_KIND_RPC_CLIENT,
+      [Tags.MESSAGE_BUS_DESTINATION]: route,
+    });
+
+    const stream = new ResponseIterator();
+
+    // errors, timeouts & aborts terminate the stream
+    wrapPromise(span, this.createMessageHandler(
+      route,
+      message,
+      options,
+      this.publish,
+      span,
+      { stream }
+    )).catch((error) => stream.fail(error));
+
+    return stream;
+  }
+
+  /**
+   * Sends a message and collects replies from all the consumers, which have received it,
+   * until `window` elapses or `max` replies are received. Individual errors are not thrown,
+   * but returned alongside the responses
+   * @param {String} route - Destination route
+   * @param {mixed} message - Message to send - will be coerced to string via stringify
+   * @param {Object} [options={}] - Additional options
+   * @param {number} [options.max] - resolve as soon as that many replies are received
+   * @param {number} [options.window=config.timeout] - how long to wait for the replies in ms
+   * @param {opentracing.Span} [parentSpan] - Existing span
+   * @returns {Bluebird<Array<{ appId: Object, headers: Object, data: mixed, error: Error }>>}
+   */
+  publishAndCollect(route, message, options = {}, parentSpan) {
+    // opentracing instrumentation
+    const span = this.tracer.startSpan(`publishAndCollect:${route}`, {
+      childOf: parentSpan,
+    });
+
+    span.addTags({
+      [Tags.SPAN_KIND]: Tags.SPAN_KIND_RPC_CLIENT,
+      [Tags.MESSAGE_BUS_DESTINATION]: route,
+    });
+
+    const { max, window = this.config.timeout, ...publishOptions } = options;
+    assert(max === undefined || (Number.isInteger(max) && max > 0), 'max must be a positive integer');
+
+    return wrapPromise(span, this.createMessageHandler(
+      route,
+      message,
+      { ...publishOptions, timeout: window },
+      this.publish,
+      span,
+      { collect: { max, responses: [] } }
+    ));
+  }
+
   /**
    * Specifies default publishing options
    * @param  {Object} options
@@ -1083,11 +1610,25 @@ class AMQPTransport extends EventEmitter {
    */
   _publishOptions(options = {}) {
     // remove unused opts
-    const { skipSerialize, gzip: needsGzip, ...opts } = options;
+    const {
+      skipSerialize,
+      gzip: needsGzip,
+      signal,
+      cancelNotice,
+      retry,
+      hedge,
+      deadline,
+      coalesce,
+      cacheKey,
+      staleWhileRevalidate,
+      cacheTags,
+      ...opts
+    } = options;
 
     // force contentEncoding
     if (needsGzip === true) {
       opts.contentEncoding = 'gzip';
+      opts.compressThreshold = 0;
     }
 
     // set default opts
@@ -1116,9 +1657,17 @@ class AMQPTransport extends EventEmitter {
    * @param   {mixed}  message - message to send
    * @param   {Span}   [span] - opentracing span
    * @param   {AMQPMessage} [raw] - raw message
+   * @param   {Object} [replyOptions={}] - publish options of the reply
+   * @param   {Object} [replyOptions.headers] - reply headers
+   * @param   {string} [replyOptions.contentType] - reply content-type, defaults to the one of request
+   * @param   {string} [replyOptions.contentEncoding] - reply content-encoding, negotiated by default
+   * @param   {boolean} [replyOptions.gzip] - forces gzip content-encoding
+   * @param   {number} [replyOptions.compressThreshold] - compress replies larger than that amount of bytes
+   * @param   {string} [replyOptions.expiration] - reply ttl in ms
+   * @param   {number} [replyOptions.priority] - reply priority
    * @returns {Bluebird<any>}
    */
-  reply(properties, message, span, raw) {
+  reply(properties, message, span, raw, replyOptions = {}) {
     if (!properties.replyTo || !properties.correlationId) {
       const error = new ValidationError('replyTo and correlationId not found in properties', 400);
 
@@ -1138,14 +1687,41 @@ class AMQPTransport extends EventEmitter {
     }
 
     const options = {
+      ...pick(replyOptions, replyOptionsWhitelist),
       correlationId: properties.correlationId,
     };
 
-    if (properties[kReplyHeaders]) {
+    // reply using the same content-type as the request when we are able to encode it
+    let response = message;
+    const contentType = options.contentType
+      || (this.codecs.has(properties.contentType) ? properties.contentType : undefined);
+
+    if (this.codecs.isRaw(contentType)) {
+      // raw payloads are sent as-is, errors and structured data fallback to defaults
+      if (message.error == null && (Buffer.isBuffer(message.data) || typeof message.data === 'string')) {
+        options.contentType = contentType;
+        response = message.data;
+      } else {
+        delete options.contentType;
+      }
+    } else if (contentType !== undefined) {
+      options.contentType = contentType;
+    }
+
+    // compress the reply if the caller supports it
+    if (options.contentEncoding === undefined && options.gzip === undefined) {
+      const contentEncoding = negotiateEncoding(properties, this.encodings);
+      if (contentEncoding !== undefined) {
+        options.contentEncoding = contentEncoding;
+      }
+    }
+
+    // NOTE: kReplyHeaders is deprecated in favor of replyOptions.headers
+    if (options.headers === undefined && properties[kReplyHeaders]) {
       options.headers = properties[kReplyHeaders];
     }
 
-    let promise = this.send(properties.replyTo, message, options, span);
+    let promise = this.send(properties.replyTo, response, options, span);
 
     if (raw !== undefined) {
       promise = promise
@@ -1166,22 +1742,469 @@ class AMQPTransport extends EventEmitter {
   }
 
   /**
-   * Creates response message handler and sets timeout on the response
+   * Resolves retry policy of the request, per-call settings take precedence over per-route ones
+   * @param  {string} routing
+   * @param  {Object} options
+   * @returns {Object|null}
+   */
+  _retryPolicy(routing, options) {
+    const { retry } = options;
+    if (retry === false) {
+      return null;
+    }
+
+    const routePolicy = this.config.retry[routing];
+    if (retry === undefined || retry === true) {
+      return routePolicy || (retry === true ? Joi.attempt({}, retryPolicy) : null);
+    }
+
+    return Joi.attempt({ ...routePolicy, ...retry }, retryPolicy);
+  }
+
+  /**
+   * Sends request & awaits for response, identical requests with `options.coalesce`
+   * receive copies of the response of the one which is already in flight
    * @param  {String}   routing
    * @param  {Object}   options
+   * @param  {boolean}  [options.coalesce] - whether to share the response with identical requests
    * @param  {String}   message
    * @param  {Function} publishMessage
    * @param  {Span}     span - opentracing span
+   * @param  {Object}   [mode={}] - requests expecting several replies, which are never coalesced
    * @return {Promise}
    */
-  async createMessageHandler(routing, message, options, publishMessage, span) {
+  async createMessageHandler(routing, message, options, publishMessage, span, mode = {}) {
     assert(typeof options === 'object' && options !== null, 'options must be an object');
 
-    const replyTo = options.replyTo || this._replyTo;
-    const time = process.hrtime();
-    const replyOptions = this._replyOptions(options);
+    // requests which may be aborted are not shared
+    const coalesce = options.coalesce === true
+      && options.signal == null
+      && mode.stream === undefined
+      && mode.collect === undefined;
 
-    // ensure that reply queue exists before sending request
+    if (coalesce === false) {
+      return this._retriedRequest(routing, message, options, publishMessage, span, mode);
+    }
+
+    // requests are identical when they would share the cached response
+    const { simpleResponse } = this._replyOptions(options);
+    const key = hash({
+      request: this._cacheKey(routing, message, options, publishMessage),
+      contentType: options.contentType,
+      simpleResponse,
+    });
+
+    const inflight = this._inflight.get(key);
+    if (inflight !== undefined) {
+      if (span !== undefined) {
+        span.setTag('coalesced', true);
+      }
+
+      // callers may mutate their responses
+      return cloneDeep(await inflight);
+    }
+
+    const promise = this
+      ._retriedRequest(routing, message, options, publishMessage, span, mode)
+      .finally(() => this._inflight.delete(key));
+
+    this._inflight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Sends request & awaits for response, retries it based on the retry policy
+   * @param  {String}   routing
+   * @param  {Object}   options
+   * @param  {Object|boolean} [options.retry] - retry policy, overrides per-route one
+   * @param  {String}   message
+   * @param  {Function} publishMessage
+   * @param  {Span}     span - opentracing span
+   * @param  {Object}   [mode={}] - requests expecting several replies, which are never retried
+   * @return {Promise}
+   */
+  async _retriedRequest(routing, message, options, publishMessage, span, mode = {}) {
+    const policy = mode.stream === undefined && mode.collect === undefined
+      ? this._retryPolicy(routing, options)
+      : null;
+
+    if (policy === null || policy.attempts === 0) {
+      return this._guardedRequest(routing, message, options, publishMessage, span, mode);
+    }
+
+    // let consumers know that all the attempts are the same request,
+    // options of the caller are copied as they may be reused for other requests
+    const headers = { ...options.headers };
+    if (headers[IDEMPOTENCY_HEADER] === undefined) {
+      headers[IDEMPOTENCY_HEADER] = uuid.v4();
+    }
+
+    const request = { ...options, headers };
+    const backoff = new Backoff({ retry: policy });
+    const predicate = policy.predicate || isRetryableError;
+
+    const attempt = async (n) => {
+      try {
+        return await this._guardedRequest(routing, message, request, publishMessage, span, mode);
+      } catch (error) {
+        if (n > policy.attempts || !predicate(error)) {
+          throw error;
+        }
+
+        const delay = backoff.get('retry', n);
+        this.log.debug({ err: error, attempt: n, delay }, 'retrying request to %s', routing);
+
+        if (span !== undefined) {
+          span.log({
+            event: 'retry', attempt: n, delay, message: error.message,
+          });
+        }
+
+        await Bluebird.delay(delay);
+        return attempt(n + 1);
+      } finally {
+        if (span !== undefined) {
+          span.setTag('retry.attempts', n);
+        }
+      }
+    };
+
+    return attempt(1);
+  }
+
+  /**
+   * Returns circuit breaker of the route, when they are enabled
+   * @param  {string} routing
+   * @returns {CircuitBreaker|null}
+   */
+  _circuit(routing) {
+    const settings = this.config.circuitBreaker;
+    if (settings.enabled !== true) {
+      return null;
+    }
+
+    let circuit = this._circuits.get(routing);
+    if (circuit === undefined) {
+      circuit = new CircuitBreaker(settings);
+      circuit.on('open', () => this.emit('circuit-open', routing, circuit.toJSON()));
+      circuit.on('close', () => this.emit('circuit-close', routing, circuit.toJSON()));
+      this._circuits.set(routing, circuit);
+    }
+
+    return circuit;
+  }
+
+  /**
+   * Returns state of the circuit breakers for health checks
+   * @param  {string} [routing] - state of all the routes is returned when omitted
+   * @returns {Object}
+   */
+  circuitState(routing) {
+    if (routing !== undefined) {
+      const circuit = this._circuits.get(routing);
+      if (circuit === undefined) {
+        return {
+          state: CircuitBreaker.CLOSED, requests: 0, failures: 0, openedAt: null,
+        };
+      }
+
+      return circuit.toJSON();
+    }
+
+    const state = Object.create(null);
+    for (const [route, circuit] of this._circuits.entries()) {
+      state[route] = circuit.toJSON();
+    }
+
+    return state;
+  }
+
+  /**
+   * Sends request unless circuit of the route is open & records its outcome
+   * @param  {String}   routing
+   * @param  {Object}   options
+   * @param  {String}   message
+   * @param  {Function} publishMessage
+   * @param  {Span}     span - opentracing span
+   * @param  {Object}   [mode={}] - requests expecting several replies bypass circuit breaker
+   * @return {Promise}
+   */
+  async _guardedRequest(routing, message, options, publishMessage, span, mode = {}) {
+    const circuit = mode.stream === undefined && mode.collect === undefined
+      ? this._circuit(routing)
+      : null;
+
+    if (circuit === null) {
+      return this._hedgedRequest(routing, message, options, publishMessage, span, mode);
+    }
+
+    const ticket = circuit.allow();
+    if (ticket === false) {
+      throw new CircuitOpenError(routing);
+    }
+
+    let response;
+    try {
+      response = await this._hedgedRequest(routing, message, options, publishMessage, span, mode);
+    } catch (error) {
+      // only local timeouts & dead-lettering mean that route is unavailable
+      if (isRetryableError(error)) {
+        circuit.failure(ticket);
+      } else if (error instanceof AbortError) {
+        circuit.release(ticket);
+      } else {
+        // remote errors mean that route is alive
+        circuit.success(ticket);
+      }
+
+      throw error;
+    }
+
+    circuit.success(ticket);
+    return response;
+  }
+
+  /**
+   * Sends duplicate requests when there is no reply in `options.hedge.after` ms
+   * and resolves with the first reply, replies to the rest are discarded
+   * @param  {String}   routing
+   * @param  {Object}   options
+   * @param  {Object}   [options.hedge]
+   * @param  {number}   options.hedge.after - delay in ms before sending duplicate request
+   * @param  {number}   [options.hedge.max=1] - max amount of duplicate requests
+   * @param  {String}   message
+   * @param  {Function} publishMessage
+   * @param  {Span}     span - opentracing span
+   * @param  {Object}   [mode={}] - requests expecting several replies are never hedged
+   * @return {Promise}
+   */
+  _hedgedRequest(routing, message, options, publishMessage, span, mode = {}) {
+    const { hedge } = options;
+    if (hedge == null || mode.stream !== undefined || mode.collect !== undefined) {
+      return this._sendRequest(routing, message, options, publishMessage, span, mode);
+    }
+
+    const { after, max = 1 } = hedge;
+    assert(is.number(after) && after >= 0, 'hedge.after must be a non-negative number');
+    assert(Number.isInteger(max) && max >= 0, 'hedge.max must be a non-negative integer');
+
+    const { replyStorage } = this;
+    const correlationIds = [];
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let timer = null;
+
+      const settle = (fn) => (value) => {
+        if (settled === true) return;
+        settled = true;
+        clearTimeout(timer);
+
+        // stop waiting for the replies to the rest of the requests
+        for (const correlationId of correlationIds) {
+          if (replyStorage.pop(correlationId) !== undefined) {
+            this._discarded.set(correlationId, true);
+          }
+        }
+
+        if (span !== undefined) {
+          span.setTag('hedge.requests', correlationIds.length);
+        }
+
+        fn(value);
+      };
+
+      const send = () => {
+        const correlationId = (correlationIds.length === 0 && options.correlationId) || uuid.v4();
+        correlationIds.push(correlationId);
+
+        this._sendRequest(routing, message, { ...options, correlationId }, publishMessage, span, mode)
+          .then(settle(resolve))
+          .catch(settle(reject));
+
+        if (correlationIds.length <= max) {
+          timer = setTimeout(send, after);
+        }
+      };
+
+      send();
+    });
+  }
+
+  /**
+   * Composes key of the cached response, which includes destination,
+   * exchange and headers listed in `cacheKeyHeaders` alongside the message
+   * @param  {String}   routing
+   * @param  {mixed}    message
+   * @param  {Object}   options
+   * @param  {Function} [options.cacheKey] - (routing, message, options) => string, overrides default key
+   * @param  {Function} publishMessage
+   * @returns {string|Object}
+   */
+  _cacheKey(routing, message, options, publishMessage) {
+    if (is.fn(options.cacheKey)) {
+      return options.cacheKey(routing, message, options);
+    }
+
+    // direct sends go through the default exchange
+    const isQueue = publishMessage === this.send;
+    const defaultExchange = isQueue ? '' : this.config.exchange;
+    const exchange = is.string(options.exchange) ? options.exchange : defaultExchange;
+
+    return {
+      [isQueue ? 'queue' : 'route']: routing,
+      exchange,
+      headers: pick(options.headers, this.config.cacheKeyHeaders),
+      message,
+    };
+  }
+
+  /**
+   * Stores response according to cache-control header of the reply
+   * @param  {Object} entry - cache settings of the request
+   * @param  {string} entry.key
+   * @param  {number} entry.ttl - maxAge of the request
+   * @param  {number} entry.staleWhileRevalidate - stale window of the request
+   * @param  {string[]} entry.tags - tags of the request
+   * @param  {Object} response - { data, headers }
+   * @returns {Promise<Void>}
+   */
+  async _cacheResponse(entry, response) {
+    const { headers = {} } = response;
+    const directives = parseCacheControl(headers[CACHE_CONTROL_HEADER]);
+
+    // drop previously cached response as well
+    if (directives.noStore) {
+      return this.cache.delete(entry.key);
+    }
+
+    const freshFor = directives.maxAge !== undefined ? directives.maxAge : entry.ttl;
+    const staleFor = directives.staleWhileRevalidate !== undefined
+      ? directives.staleWhileRevalidate
+      : entry.staleWhileRevalidate;
+    const ttl = freshFor + staleFor;
+
+    if (ttl <= 0) {
+      return null;
+    }
+
+    // tags of the reply are added to the ones of the request
+    const tags = is.string(headers[CACHE_TAGS_HEADER])
+      ? uniq([...entry.tags, ...headers[CACHE_TAGS_HEADER].split(',').map((tag) => tag.trim()).filter(Boolean)])
+      : entry.tags;
+
+    return this.cache.set(entry.key, response, ttl, {
+      ...directives,
+      tags,
+      route: entry.route,
+      digest: entry.digest,
+      requestedAt: entry.requestedAt,
+    });
+  }
+
+  /**
+   * Drops cached responses of this instance and, when cacheInvalidation is enabled,
+   * broadcasts invalidation to the other ones
+   * @param  {Object} invalidation
+   * @param  {string} [invalidation.route] - routing key or queue of the requests
+   * @param  {mixed}  [invalidation.message] - drops only responses to this message
+   * @param  {string|string[]} [invalidation.tags] - drops responses tagged with any of these
+   * @returns {Promise<Void>}
+   */
+  async invalidateCache(invalidation) {
+    assert(is.object(invalidation), 'invalidation must be an object');
+    assert(invalidation.route !== undefined || invalidation.tags !== undefined, 'route or tags must be specified');
+
+    this._applyInvalidation(invalidation);
+
+    const { enabled, exchange } = this.config.cacheInvalidation;
+    if (enabled === false) {
+      return;
+    }
+
+    await this.declareExchange({
+      exchange,
+      type: 'fanout',
+      durable: true,
+      autoDelete: false,
+    });
+
+    await this.publish('', invalidation, {
+      exchange,
+      headers: { [CACHE_INVALIDATION_HEADER]: '1' },
+    });
+  }
+
+  /**
+   * @param  {Object} invalidation
+   * @returns {Void}
+   */
+  _applyInvalidation({ route, message, tags }) {
+    if (route !== undefined) {
+      this.cache.invalidate(route, message);
+    }
+
+    if (tags !== undefined) {
+      this.cache.invalidateTags(tags);
+    }
+  }
+
+  /**
+   * Refreshes stale cached response in background, only once at a time
+   * @param  {String}   routing
+   * @param  {mixed}    message
+   * @param  {Object}   options
+   * @param  {Function} publishMessage
+   * @param  {Span}     span
+   * @param  {string}   key - key of the cached response
+   * @returns {Promise<Void>|null}
+   */
+  _revalidate(routing, message, options, publishMessage, span, key) {
+    if (this._revalidating.has(key)) {
+      return null;
+    }
+
+    this._revalidating.add(key);
+
+    // caller has already got the response, so it doesn't control the refresh
+    const { signal, correlationId, ...opts } = options;
+    opts.deadline = Infinity;
+
+    return this
+      ._sendRequest(routing, message, opts, publishMessage, span, { revalidate: key })
+      .catch((err) => this.log.warn({ err, routing }, 'failed to revalidate cached response'))
+      .finally(() => this._revalidating.delete(key));
+  }
+
+  /**
+   * Creates response message handler and sets timeout on the response
+   * @param  {String}   routing
+   * @param  {Object}   options
+   * @param  {AbortSignal} [options.signal] - rejects with AbortError & forgets the request once aborted,
+   *                                         only `aborted` & add/removeEventListener('abort') are used
+   * @param  {boolean}  [options.cancelNotice] - whether to notify consumer about aborted request
+   * @param  {String}   message
+   * @param  {Function} publishMessage
+   * @param  {Span}     span - opentracing span
+   * @param  {Object}   [mode={}] - requests expecting several replies
+   * @param  {ResponseIterator} [mode.stream] - receives streamed replies
+   * @param  {Object}   [mode.collect] - collects replies of many consumers
+   * @param  {string}   [mode.revalidate] - key of the stale cached response, which is refreshed
+   * @return {Promise}
+   */
+  async _sendRequest(routing, message, options, publishMessage, span, mode = {}) {
+    assert(typeof options === 'object' && options !== null, 'options must be an object');
+
+    const { signal } = options;
+    if (signal != null && signal.aborted) {
+      throw new AbortError(`request to ${routing} was aborted`);
+    }
+
+    const replyTo = options.replyTo || this._replyTo;
+    const time = process.hrtime();
+    const replyOptions = this._replyOptions(options);
+
+    // ensure that reply queue exists before sending request
     if (typeof replyTo !== 'string') {
       if (replyTo === false) {
         await this.awaitPrivateQueue();
@@ -1189,21 +2212,49 @@ class AMQPTransport extends EventEmitter {
         await this.createPrivateQueue();
       }
 
-      return this.createMessageHandler(routing, message, options, publishMessage, span);
+      return this._sendRequest(routing, message, options, publishMessage, span, mode);
     }
 
     // work with cache if options.cache is set and is number
-    // otherwise cachedResponse is always null
-    const cachedResponse = this.cache.get(message, options.cache);
+    // otherwise cachedResponse is always null, multiple replies are never cached
+    const { stream, collect, revalidate } = mode;
+    const { staleWhileRevalidate = 0 } = options;
+    let cachedResponse = revalidate !== undefined ? revalidate : null;
+    if (revalidate === undefined && stream === undefined && collect === undefined && options.cache !== undefined) {
+      try {
+        const key = this._cacheKey(routing, message, options, publishMessage);
+        cachedResponse = await this.cache.get(key, options.cache, staleWhileRevalidate);
+      } catch (err) {
+        this.log.warn({ err, routing }, 'failed to read response cache');
+      }
+    }
+
     if (cachedResponse !== null && typeof cachedResponse === 'object') {
+      if (cachedResponse.stale === true) {
+        this._revalidate(routing, message, options, publishMessage, span, cachedResponse.key);
+      }
+
       return adaptResponse(cachedResponse.value, replyOptions);
     }
 
     const { replyStorage } = this;
     // generate response id
     const correlationId = options.correlationId || uuid.v4();
-    // timeout before RPC times out
-    const timeout = options.timeout || this.config.timeout;
+    // timeout before RPC times out, limited by the deadline of the request being processed
+    const parentDeadline = options.deadline !== undefined ? options.deadline : deadlines.current();
+    let timeout = options.timeout || this.config.timeout;
+    let deadline = Date.now() + timeout;
+
+    if (parentDeadline !== undefined && parentDeadline < deadline) {
+      deadline = parentDeadline;
+      timeout = deadline - Date.now();
+
+      if (timeout <= 0) {
+        throw new TimeoutError(`deadline of the request to ${routing} has already passed`);
+      }
+    }
+
+    const expiration = Math.ceil(timeout * 0.9).toString();
 
     // slightly longer timeout, if message was not consumed in time, it will return with expiration
     const publishPromise = new Promise((resolve, reject) => {
@@ -1215,19 +2266,94 @@ class AMQPTransport extends EventEmitter {
         resolve,
         reject,
         replyOptions,
-        cache: cachedResponse,
+        stream,
+        collect,
+        cache: typeof cachedResponse === 'string'
+          ? {
+            key: cachedResponse,
+            ttl: options.cache,
+            staleWhileRevalidate,
+            route: routing,
+            digest: Cache.digest(message),
+            tags: toUniqueStringArray(options.cacheTags || []),
+            requestedAt: Date.now(),
+          }
+          : null,
         timer: null,
       });
     });
 
+    // caller has stopped iterating - forget about the request
+    if (stream !== undefined) {
+      stream.onReturn = () => {
+        const future = replyStorage.pop(correlationId);
+        if (future !== undefined) {
+          future.resolve();
+        }
+      };
+    }
+
     // debugging
     this.log.trace('message pushed into reply queue in %s', latency(time));
 
+    // stop waiting for the response once caller aborts the request
+    let responsePromise = publishPromise;
+    if (signal != null) {
+      const onAbort = () => {
+        const future = replyStorage.pop(correlationId);
+        if (future === undefined) {
+          return;
+        }
+
+        future.reject(new AbortError(`request to ${routing} was aborted`));
+
+        // let consumer know that it may stop processing the request
+        if (options.cancelNotice === true) {
+          publishMessage
+            .call(this, routing, CANCEL_NOTICE, {
+              exchange: options.exchange,
+              skipSerialize: true,
+              contentType: 'application/json',
+              contentEncoding: 'plain',
+              headers: { [CANCEL_HEADER]: correlationId },
+              expiration,
+            }, span)
+            .catch((err) => {
+              this.log.warn({ err, correlationId }, 'failed to publish cancel notice');
+            });
+        }
+      };
+
+      signal.addEventListener('abort', onAbort);
+      responsePromise = publishPromise.finally(() => {
+        signal.removeEventListener('abort', onAbort);
+      });
+    }
+
+    // chunks may still arrive after caller has stopped iterating, replies - after
+    // time window or max amount of replies is reached - drop them silently
+    if (stream !== undefined || collect !== undefined) {
+      responsePromise = responsePromise.finally(() => {
+        this._discarded.set(correlationId, true);
+      });
+    }
+
     // add custom header for routing over amq.headers exchange
     if (!options.headers) {
       options.headers = Object.create(null);
     }
     options.headers['reply-to'] = replyTo;
+    options.headers[DEADLINE_HEADER] = deadline;
+
+    if (stream !== undefined) {
+      options.headers[STREAM_HEADER] = true;
+    }
+
+    // advertise encodings we want the reply to be compressed with
+    const acceptEncoding = options.acceptEncoding || this._defaultOpts.acceptEncoding;
+    if (acceptEncoding !== undefined) {
+      options.headers['accept-encoding'] = toUniqueStringArray(acceptEncoding).join(', ');
+    }
 
     // add opentracing instrumentation
     if (span) {
@@ -1239,9 +2365,10 @@ class AMQPTransport extends EventEmitter {
     publishMessage
       .call(this, routing, message, {
         ...options,
+        timeout,
         replyTo,
         correlationId,
-        expiration: Math.ceil(timeout * 0.9).toString(),
+        expiration,
       }, span)
       .tap(() => {
         this.log.trace({ latency: latency(time) }, 'message published');
@@ -1251,7 +2378,7 @@ class AMQPTransport extends EventEmitter {
         replyStorage.reject(correlationId, err);
       });
 
-    return publishPromise;
+    return responsePromise;
   }
 
   /**
@@ -1274,6 +2401,9 @@ class AMQPTransport extends EventEmitter {
     const parseInput = amqpTransport._parseInput.bind(amqpTransport);
     const router = _router.bind(amqpTransport);
 
+    // replies are never deduplicated
+    const dedupe = _router === amqpTransport._privateMessageRouter ? null : amqpTransport.dedupe;
+
     return async function consumeMessage(incoming) {
       // emit pre processing hook
       amqpTransport.emit('pre', incoming);
@@ -1287,6 +2417,16 @@ class AMQPTransport extends EventEmitter {
       // useful message properties
       const props = { ...properties, ...pick(incoming, extendMessageProperties) };
 
+      // skip messages, which have already been processed
+      const key = dedupe !== null ? dedupeKey(props) : undefined;
+      if (key !== undefined) {
+        if (await amqpTransport._dedupeIncoming(key, props, incoming, consumeMessage)) {
+          return;
+        }
+
+        incoming.dedupeKey = key;
+      }
+
       // pass to the consumer message router
       // message - properties - incoming
       //  incoming.raw<{ ack: ?Function, reject: ?Function, retry: ?Function }>
@@ -1295,18 +2435,180 @@ class AMQPTransport extends EventEmitter {
     };
   }
 
+  /**
+   * Checks whether message has already been processed, replays reply to the duplicates of RPC requests
+   * @param  {string} key - dedupe key
+   * @param  {Object} properties
+   * @param  {Object} incoming - raw message
+   * @param  {Function} redeliver - (incoming) => Promise, consumes duplicate again once original message is released
+   * @returns {Promise<boolean>} whether message is a duplicate
+   */
+  async _dedupeIncoming(key, properties, incoming, redeliver) {
+    const { dedupe, log, config } = this;
+    const { replyTo, correlationId, headers } = properties;
+
+    // message is reserved for the lease, so that it's processed again when its consumer has crashed
+    const pending = { state: 'pending', owner: this._dedupeOwner };
+    let record;
+    try {
+      if (is.fn(dedupe.setIfAbsent)) {
+        record = await dedupe.setIfAbsent(key, pending, config.dedupe.lease) ? null : await dedupe.get(key);
+      } else {
+        record = await dedupe.get(key);
+        if (record == null) {
+          await dedupe.set(key, pending, config.dedupe.lease);
+        }
+      }
+    } catch (err) {
+      log.warn({ err, key }, 'failed to update dedupe store');
+      return false;
+    }
+
+    // message is processed for the first time or its consumer has failed to finish it in time
+    if (record == null) {
+      // fire & forget handlers may never complete the message
+      if (replyTo) {
+        this._duplicates.set(key, []);
+      }
+
+      return false;
+    }
+
+    // consumer, which processes the message, may crash - return it to the queue
+    if (record.state === 'pending' && record.owner !== this._dedupeOwner) {
+      if (incoming.retry) {
+        log.debug({ key }, 'requeueing message, which is being processed by another consumer');
+        setTimeout(incoming.retry, DEDUPE_REQUEUE_DELAY);
+      } else {
+        log.warn({ key }, 'dropped message, which is being processed by another consumer');
+      }
+
+      this.emit('after', incoming);
+      return true;
+    }
+
+    if (incoming.ack) incoming.ack();
+
+    // streamed replies can't be replayed
+    const replayable = replyTo && correlationId && !(headers && headers[STREAM_HEADER] === true);
+
+    // reply once original message is processed
+    const duplicates = this._duplicates.get(key);
+    if (record.state === 'pending' && duplicates !== undefined && replayable) {
+      duplicates.push({ properties, incoming, redeliver });
+      return true;
+    }
+
+    if (record.reply !== undefined && replayable) {
+      log.debug({ key }, 'replaying reply to the duplicate message');
+      this
+        .reply(properties, record.reply, undefined, incoming, record.replyOptions)
+        .catch((err) => log.warn({ err, key }, 'failed to replay reply'));
+      return true;
+    }
+
+    log.debug({ key, state: record.state }, 'dropped duplicate message');
+    this.emit('after', incoming);
+    return true;
+  }
+
+  /**
+   * Forgets message, which was dropped without being processed, i.e. expired one,
+   * duplicates, which have been waiting for its reply, are processed on their own
+   * @param  {string} key - dedupe key
+   * @returns {Promise<void>}
+   */
+  async _releaseDedupe(key) {
+    const { dedupe, log } = this;
+    const duplicates = this._duplicates.get(key) || [];
+    this._duplicates.delete(key);
+
+    try {
+      await dedupe.delete(key);
+    } catch (err) {
+      log.warn({ err, key }, 'failed to update dedupe store');
+    }
+
+    for (const { incoming, redeliver } of duplicates) {
+      redeliver(incoming).catch((err) => log.warn({ err, key }, 'failed to redeliver duplicate'));
+    }
+  }
+
+  /**
+   * Remembers outcome of the processed message, failed ones may be processed again
+   * @param  {string} key - dedupe key
+   * @param  {Error} [error]
+   * @param  {mixed} [data]
+   * @param  {Object} [replyOptions]
+   * @returns {Promise<void>}
+   */
+  async _rememberReply(key, error, data, replyOptions) {
+    const { dedupe, log } = this;
+    const duplicates = this._duplicates.get(key) || [];
+    this._duplicates.delete(key);
+
+    for (const { properties, incoming } of duplicates) {
+      this
+        .reply(properties, { error, data }, undefined, incoming, replyOptions)
+        .catch((err) => log.warn({ err, key }, 'failed to replay reply'));
+    }
+
+    try {
+      if (error) {
+        await dedupe.delete(key);
+      } else {
+        await dedupe.set(key, { state: 'done', reply: { data }, replyOptions }, this.config.dedupe.ttl);
+      }
+    } catch (err) {
+      log.warn({ err, key }, 'failed to update dedupe store');
+    }
+  }
+
   /**
    * Distributes messages from a private queue
    * @param  {mixed}  message
    * @param  {Object} properties
    */
-  _privateMessageRouter(message, properties/* , raw */) { // if private queue has nack set - we must ack msg
+  _privateMessageRouter(_message, properties/* , raw */) { // if private queue has nack set - we must ack msg
     const { correlationId, replyTo, headers } = properties;
     const { 'x-death': xDeath } = headers;
 
+    // broadcasted invalidation of cached responses
+    if (headers[CACHE_INVALIDATION_HEADER] !== undefined && !xDeath) {
+      try {
+        this._applyInvalidation(_message);
+      } catch (err) {
+        this.log.warn({ err }, 'malformed cache invalidation');
+      }
+
+      return null;
+    }
+
+    // raw replies are not wrapped in { error, data } envelope
+    const message = this.codecs.isRaw(properties.contentType)
+      ? { data: _message }
+      : _message;
+
+    // streamed replies keep request open until all the chunks are received
+    const pending = this.replyStorage.get(correlationId);
+    if (pending !== undefined && pending.stream !== undefined && !xDeath && !message.error) {
+      return this._onStreamReply(pending, message, properties);
+    }
+
+    // dead-lettered requests are collected alongside the replies
+    if (pending !== undefined && pending.collect !== undefined) {
+      return this._onCollectedReply(pending, message, properties);
+    }
+
     // retrieve promised message
     const future = this.replyStorage.pop(correlationId);
 
+    // reply to the request, which is no longer needed: hedged one, which has lost the race, or finished stream/collect
+    if (future === undefined && this._discarded.has(correlationId)) {
+      this.log.trace('discarded reply to request %s', correlationId);
+      return null;
+    }
+
     // case 1 - for some reason there is no saved reference, example - crashed process
     if (future === undefined) {
       this.log.error('no recipient for the message %j and id %s', message.error || message.data || message, correlationId);
@@ -1350,12 +2652,95 @@ class AMQPTransport extends EventEmitter {
       return future.reject(error);
     }
 
-    const response = buildResponse(message, properties);
-    this.cache.set(future.cache, response);
+    // catch contract drift between services
+    let { data } = message;
+    if (this.contracts.hasResponse(future.routing)) {
+      try {
+        data = this.contracts.validateResponse(future.routing, data);
+      } catch (error) {
+        return future.reject(error);
+      }
+    }
+
+    const response = buildResponse({ data }, properties);
+    if (future.cache !== null) {
+      this
+        ._cacheResponse(future.cache, response)
+        .catch((err) => this.log.warn({ err, routing: future.routing }, 'failed to update response cache'));
+    }
 
     return future.resolve(adaptResponse(response, future.replyOptions));
   }
 
+  /**
+   * Passes streamed reply to the iterator
+   * @param  {Object} future - reply storage entry
+   * @param  {Object} message
+   * @param  {Object} properties
+   * @returns {Void}
+   */
+  _onStreamReply(future, message, properties) {
+    const { correlationId, headers } = properties;
+    const { replyStorage } = this;
+    const last = headers[STREAM_END_HEADER] === true;
+
+    let { data } = message;
+    if (!last && this.contracts.hasResponse(future.routing)) {
+      try {
+        data = this.contracts.validateResponse(future.routing, data);
+      } catch (error) {
+        replyStorage.pop(correlationId);
+        return future.reject(error);
+      }
+    }
+
+    const chunk = last ? undefined : adaptResponse(buildResponse({ data }, properties), future.replyOptions);
+    const done = future.stream.push(headers[STREAM_SEQ_HEADER], chunk, last);
+
+    if (done) {
+      replyStorage.pop(correlationId);
+      return future.resolve();
+    }
+
+    return replyStorage.refresh(correlationId);
+  }
+
+  /**
+   * Gathers reply of one of the consumers
+   * @param  {Object} future - reply storage entry
+   * @param  {Object} message
+   * @param  {Object} properties
+   * @returns {Void}
+   */
+  _onCollectedReply(future, message, properties) {
+    const { correlationId, appId, headers } = properties;
+    const { max, responses } = future.collect;
+    const xDeath = headers['x-death'];
+
+    // message is the request itself when it was dead-lettered
+    const response = xDeath ? { headers } : buildResponse(message, properties);
+    response.appId = appId ? safeJSONParse(appId, this.log) : undefined;
+
+    if (xDeath) {
+      response.error = new AmqpDLXError(xDeath, message);
+    } else if (message.error) {
+      response.error = wrapError(message.error);
+    } else if (this.contracts.hasResponse(future.routing)) {
+      try {
+        response.data = this.contracts.validateResponse(future.routing, response.data);
+      } catch (error) {
+        response.error = error;
+      }
+    }
+
+    responses.push(response);
+
+    if (max !== undefined && responses.length >= max) {
+      this.replyStorage.pop(correlationId);
+      future.resolve(responses);
+    }
+  }
+
   /**
    * Parses AMQP message
    * @param  {Buffer} _data
@@ -1364,30 +2749,31 @@ class AMQPTransport extends EventEmitter {
    * @return {Object}
    */
   async _parseInput(_data, contentType = 'application/json', contentEncoding = 'plain') {
-    let data;
+    const encoding = this.encodings.get(contentEncoding);
+    if (encoding === undefined) {
+      return { err: PARSE_ERR };
+    }
 
-    switch (contentEncoding) {
-      case 'gzip':
-        data = await gunzip(_data).catchReturn({ err: PARSE_ERR });
-        break;
+    let data;
+    try {
+      data = await encoding.decompress(_data);
+    } catch (err) {
+      this.log.warn({ err, contentEncoding }, 'Error decompressing buffer');
+      return { err: PARSE_ERR };
+    }
 
-      case 'plain':
-        data = _data;
-        break;
+    const codec = this.codecs.get(contentType);
 
-      default:
-        return { err: PARSE_ERR };
+    // unknown content-type - pass raw data
+    if (codec === undefined) {
+      return data;
     }
 
-    switch (contentType) {
-      // default encoding when we were pre-stringifying and sending str
-      // and our updated encoding when we send buffer now
-      case 'string/utf8':
-      case 'application/json':
-        return safeJSONParse(data, this.log);
-
-      default:
-        return data;
+    try {
+      return await codec.decode(data);
+    } catch (err) {
+      this.log.warn('Error parsing buffer', err, String(data));
+      return { err: PARSE_ERR };
     }
   }
 
@@ -1504,7 +2890,8 @@ AMQPTransport.multiConnect = function multiConnect(config, _messageHandler, opts
           queue: queueName,
         });
 
-        return amqp.createConsumedQueue(messageHandler, [route], consumedQueueOpts);
+        // each message of the route handlers must only be delivered to a single queue
+        return amqp.createConsumedQueue(messageHandler, [route], consumedQueueOpts, false);
       });
 
       return amqp;
@@ -1,5 +1,41 @@
 const kReplyHeaders = Symbol('headers');
 
+// header with correlationId of the request, which caller is no longer interested in
+const CANCEL_HEADER = 'x-cancel';
+
+// streamed replies: request flag, position of the chunk and end marker
+const STREAM_HEADER = 'x-stream';
+const STREAM_SEQ_HEADER = 'x-stream-seq';
+const STREAM_END_HEADER = 'x-stream-end';
+
+// same for all the attempts of the request, so that consumers may dedupe them
+const IDEMPOTENCY_HEADER = 'x-idempotency-key';
+
+// absolute time, unix timestamp in ms, after which caller is no longer interested in the response
+const DEADLINE_HEADER = 'x-deadline';
+
+// reply header with caching directives: max-age, no-store & stale-while-revalidate
+const CACHE_CONTROL_HEADER = 'cache-control';
+
+// reply header with comma-separated tags of the response, used for invalidation
+const CACHE_TAGS_HEADER = 'x-cache-tags';
+
+// marks broadcasted invalidations of cached responses
+const CACHE_INVALIDATION_HEADER = 'x-cache-invalidation';
+
+// pseudo-queue of RabbitMQ direct reply-to, https://www.rabbitmq.com/direct-reply-to.html
+const DIRECT_REPLY_TO = 'amq.rabbitmq.reply-to';
+
 module.exports = {
   kReplyHeaders,
+  CANCEL_HEADER,
+  STREAM_HEADER,
+  STREAM_SEQ_HEADER,
+  STREAM_END_HEADER,
+  IDEMPOTENCY_HEADER,
+  DEADLINE_HEADER,
+  DIRECT_REPLY_TO,
+  CACHE_CONTROL_HEADER,
+  CACHE_TAGS_HEADER,
+  CACHE_INVALIDATION_HEADER,
 };
@@ -1,12 +1,12 @@
 const is = require('is');
 const omit = require('lodash/omit');
-const { MSError } = require('./utils/serialization');
+const { TimeoutError } = require('common-errors');
+const { createError } = require('./utils/serialization');
+const { AmqpDLXError } = require('./utils/error');
+const { kReplyHeaders } = require('./constants');
 
-// error data that is going to be copied
-const copyErrorData = [
-  'code', 'name', 'errors',
-  'field', 'reason', 'stack',
-];
+// nested errors, which are wrapped as well
+const nestedErrors = ['cause', 'inner_error'];
 
 /**
  * Wraps response error
@@ -19,11 +19,12 @@ exports.wrapError = function wrapError(originalError) {
   }
 
   // this only happens in case of .toJSON on error object
-  const error = new MSError(originalError.message);
+  const error = createError(originalError.name);
 
-  for (const fieldName of copyErrorData) {
-    const mixedData = originalError[fieldName];
-    if (mixedData !== undefined && mixedData !== null) {
+  for (const [fieldName, mixedData] of Object.entries(originalError)) {
+    if (nestedErrors.includes(fieldName) && is.object(mixedData)) {
+      error[fieldName] = wrapError(mixedData);
+    } else if (mixedData !== undefined && mixedData !== null) {
       error[fieldName] = mixedData;
     }
   }
@@ -49,3 +50,46 @@ exports.setQoS = function setQoS(opts) {
 
   return output;
 };
+
+/**
+ * Default retry predicate - request has not reached the consumer
+ * or it did not reply in time. Errors replied by the consumer, even timeouts
+ * of its own requests, are not retried
+ * @param  {Error} error
+ * @return {boolean}
+ */
+exports.isRetryableError = function isRetryableError(error) {
+  if (error == null || error[kReplyHeaders] !== undefined) {
+    return false;
+  }
+
+  return error instanceof TimeoutError || error instanceof AmqpDLXError;
+};
+
+/**
+ * Parses cache-control header of the reply, unknown directives are ignored
+ * @param  {string} [header] - e.g. `max-age=60, stale-while-revalidate=30`
+ * @return {{ noStore: boolean, maxAge?: number, staleWhileRevalidate?: number }} durations in ms
+ */
+exports.parseCacheControl = function parseCacheControl(header) {
+  const directives = { noStore: false };
+
+  if (typeof header !== 'string') {
+    return directives;
+  }
+
+  for (const directive of header.split(',')) {
+    const [name, value] = directive.trim().toLowerCase().split('=');
+    const seconds = Number(value);
+
+    if (name === 'no-store') {
+      directives.noStore = true;
+    } else if (name === 'max-age' && seconds >= 0) {
+      directives.maxAge = seconds * 1000;
+    } else if (name === 'stale-while-revalidate' && seconds >= 0) {
+      directives.staleWhileRevalidate = seconds * 1000;
+    }
+  }
+
+  return directives;
+};
@@ -21,6 +21,28 @@ const exchangeTypes = Joi.string()
 
 exports.Joi = Joi;
 
+const retryPolicy = exports.retryPolicy = Joi
+  .object({
+    attempts: Joi.number().integer().min(0)
+      .description('amount of retries after the initial attempt')
+      .default(2),
+
+    min: Joi.number().min(0)
+      .description('min delay for retry #1')
+      .default(100),
+
+    max: Joi.number().min(0)
+      .description('max delay')
+      .default(1000),
+
+    factor: Joi.number().min(1)
+      .description('exponential increase factor')
+      .default(1.5),
+
+    predicate: Joi.func()
+      .description('(error) => boolean, retries timeouts & dead-lettered requests by default'),
+  });
+
 exports.schema = Joi
   .object({
     name: Joi.string()
@@ -31,10 +53,34 @@ exports.schema = Joi
       .description('when true - initializes private queue right away')
       .default(false),
 
+    replyMode: Joi.string().valid('queue', 'direct')
+      .description('queue - replies are consumed from private queue, direct - RabbitMQ direct reply-to is used')
+      .default('queue'),
+
     cache: Joi.number().min(0)
       .description('size of LRU cache for responses, 0 to disable it')
       .default(100),
 
+    cacheStore: Joi.any()
+      .description('external store of cached responses with get(key), set(key, value, ttl) & delete(key) methods, replaces in-memory one'),
+
+    cacheInvalidation: Joi
+      .object({
+        enabled: Joi.boolean()
+          .description('whether invalidations of cached responses are broadcasted to & received from other instances')
+          .default(false),
+
+        exchange: Joi.string()
+          .description('fanout exchange, which is bound to private queues of the instances')
+          .default('microfleet.cache-invalidation'),
+      })
+      .description('broadcast of cache invalidations')
+      .default(),
+
+    cacheKeyHeaders: Joi.coercedArray()
+      .description('headers of the request, which are included into the key of cached response')
+      .default([]),
+
     timeout: Joi.number()
       .description('default *AndWait timeout')
       .default(10000),
@@ -55,6 +101,100 @@ exports.schema = Joi
 
     tracer: Joi.object(),
 
+    skipExpired: Joi.boolean()
+      .description('whether consumers drop requests, deadline of which has already passed, requires clocks of the hosts to be in sync')
+      .default(false),
+
+    codecs: Joi.object()
+      .pattern(Joi.string(), Joi.object({
+        encode: Joi.func().required()
+          .description('(message) => Buffer | Promise<Buffer>'),
+
+        decode: Joi.func().required()
+          .description('(Buffer) => mixed | Promise<mixed>'),
+
+        raw: Joi.boolean()
+          .description('whether replies are sent as-is, without { error, data } envelope'),
+      }).unknown())
+      .description('custom encoders/decoders keyed by content-type')
+      .default(),
+
+    encodings: Joi.object()
+      .pattern(Joi.string(), Joi.object({
+        compress: Joi.func().required()
+          .description('(Buffer) => Buffer | Promise<Buffer>'),
+
+        decompress: Joi.func().required()
+          .description('(Buffer) => Buffer | Promise<Buffer>'),
+      }).unknown())
+      .description('custom compressors keyed by content-encoding')
+      .default(),
+
+    contracts: Joi.object()
+      .pattern(Joi.string(), Joi.object({
+        request: Joi.any()
+          .description('Joi schema or (message) => validated message'),
+
+        response: Joi.any()
+          .description('Joi schema or (data) => validated data'),
+      }))
+      .description('payload contracts keyed by routing key')
+      .default(),
+
+    retry: Joi.object()
+      .pattern(Joi.string(), retryPolicy.default())
+      .description('retry policies of *AndWait requests keyed by routing key')
+      .default(),
+
+    circuitBreaker: Joi
+      .object({
+        enabled: Joi.boolean()
+          .description('whether *AndWait requests fail fast when route keeps timing out')
+          .default(false),
+
+        threshold: Joi.number().greater(0).max(1)
+          .description('ratio of failed requests within the window, which opens the circuit')
+          .default(0.5),
+
+        volume: Joi.number().integer().min(1)
+          .description('min amount of requests within the window to open the circuit')
+          .default(10),
+
+        window: Joi.number().min(0)
+          .description('duration of the window in ms')
+          .default(10000),
+
+        cooldown: Joi.number().min(0)
+          .description('time in ms before a probe request is sent to the route with open circuit')
+          .default(5000),
+      })
+      .description('per routing key circuit breaker settings')
+      .default(),
+
+    dedupe: Joi
+      .object({
+        enabled: Joi.boolean()
+          .description('whether consumers skip messages with the same messageId or x-idempotency-key header')
+          .default(false),
+
+        size: Joi.number().integer().min(1)
+          .description('size of the default in-memory store')
+          .default(1000),
+
+        ttl: Joi.number().min(0)
+          .description('how long processed messages are remembered, ms')
+          .default(300000),
+
+        lease: Joi.number().min(0)
+          .description('how long message is reserved by the consumer, which processes it, ms. Other consumers requeue its duplicates meanwhile')
+          .default(30000),
+
+        store: Joi.any()
+          .description('external store with get(key), set(key, record, ttl), delete(key) & optional atomic setIfAbsent(key, record, ttl) methods'),
+      })
+      .description('deduplication of redelivered messages')
+      .default(),
+
     connection: Joi
       .object({
         host: Joi.alternatives()
@@ -304,7 +444,13 @@ exports.schema = Joi
 
         contentEncoding: Joi.string()
           .default('plain')
-          .description('default content-encoding'),
+          .description('default content-encoding: plain, gzip, deflate, br or a custom registered one'),
+
+        compressThreshold: Joi.number().integer().min(0)
+          .description('when set - serialized payloads smaller than this amount of bytes are sent with plain content-encoding'),
+
+        acceptEncoding: Joi.coercedArray()
+          .description('content-encodings, in order of preference, which replies to *AndWait requests may use'),
 
         headers: Joi.object()
           .default(),
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const Promise = require('bluebird');
+
+/**
+ * Behaviour expected from stores of cached responses, runner-agnostic so that
+ * adapters are able to verify themselves with any test framework:
+ *
+ *   conformance.forEach(({ name, test }) => it(name, () => test(createStore())));
+ *
+ * Each test receives a fresh store, which must not be shared between tests
+ * @type {Array<{ name: string, test: Function }>}
+ */
+module.exports = [{
+  name: 'resolves missing keys with undefined or null',
+  test: async (store) => {
+    assert.ok(await store.get('conformance:missing') == null);
+  },
+}, {
+  name: 'returns stored values',
+  test: async (store) => {
+    const value = { storedAt: Date.now(), value: { data: { id: 1, list: ['a', 'b'] }, headers: {} } };
+
+    await store.set('conformance:a', value, 1000);
+    assert.deepStrictEqual(await store.get('conformance:a'), value);
+  },
+}, {
+  name: 'keeps values of different keys apart',
+  test: async (store) => {
+    await store.set('conformance:a', { value: 'a' }, 1000);
+    await store.set('conformance:b', { value: 'b' }, 1000);
+
+    assert.deepStrictEqual(await store.get('conformance:a'), { value: 'a' });
+    assert.deepStrictEqual(await store.get('conformance:b'), { value: 'b' });
+  },
+}, {
+  name: 'overwrites values',
+  test: async (store) => {
+    await store.set('conformance:a', { value: 'a' }, 1000);
+    await store.set('conformance:a', { value: 'b' }, 1000);
+
+    assert.deepStrictEqual(await store.get('conformance:a'), { value: 'b' });
+  },
+}, {
+  name: 'deletes values',
+  test: async (store) => {
+    await store.set('conformance:a', { value: 'a' }, 1000);
+    await store.delete('conformance:a');
+    await store.delete('conformance:missing');
+
+    assert.ok(await store.get('conformance:a') == null);
+  },
+}, {
+  name: 'expires values after ttl',
+  test: async (store) => {
+    await store.set('conformance:short', { value: 'short' }, 50);
+    await store.set('conformance:long', { value: 'long' }, 5000);
+    await Promise.delay(100);
+
+    assert.ok(await store.get('conformance:short') == null);
+    assert.deepStrictEqual(await store.get('conformance:long'), { value: 'long' });
+  },
+}];
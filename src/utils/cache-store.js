@@ -0,0 +1,56 @@
+const HLRU = require('hashlru');
+
+/**
+ * Default in-memory store of cached responses. External stores must implement
+ * the same interface, methods may return promises:
+ *  - get(key) => value | undefined
+ *  - set(key, value, ttl) => void
+ *  - delete(key) => void
+ */
+class MemoryCacheStore {
+  /**
+   * @param {number} size - max amount of cached responses
+   */
+  constructor(size) {
+    this.cache = HLRU(size);
+  }
+
+  /**
+   * @param  {string} key
+   * @returns {Object|undefined}
+   */
+  get(key) {
+    const entry = this.cache.get(key);
+
+    if (entry === undefined) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.remove(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * @param  {string} key
+   * @param  {Object} value
+   * @param  {number} ttl - time in ms to keep the value for
+   * @returns {Void}
+   */
+  set(key, value, ttl) {
+    this.cache.set(key, { value, expiresAt: Date.now() + ttl });
+  }
+
+  /**
+   * @param  {string} key
+   * @returns {Void}
+   */
+  delete(key) {
+    this.cache.remove(key);
+  }
+}
+
+module.exports = MemoryCacheStore;
@@ -1,19 +1,131 @@
-const HLRU = require('hashlru');
+const assert = require('assert');
 const hash = require('object-hash');
 const is = require('is');
-const latency = require('./latency');
+const MemoryCacheStore = require('./cache-store');
 
 class Cache {
-  constructor(size) {
-    this.enabled = !!size;
+  /**
+   * @param {number} size - size of the default in-memory store, 0 disables cache
+   * @param {Object} [store] - external store, replaces in-memory one
+   */
+  constructor(size, store) {
+    if (store != null) {
+      assert(is.fn(store.get) && is.fn(store.set) && is.fn(store.delete), 'cacheStore must implement get, set & delete');
+      this.store = store;
+    } else {
+      this.store = size ? new MemoryCacheStore(size) : null;
+    }
+
+    this.enabled = this.store !== null;
+
+    // scope -> time of invalidation, responses to requests sent before it are not used,
+    // in order of invalidation
+    this.invalidations = new Map();
+
+    // max time between the request and expiration of its response, invalidations are kept for it
+    this.retention = 0;
+    // time of the last forgotten invalidation, responses to requests sent before it are not used
+    this.forgottenAt = 0;
+  }
+
+  /**
+   * Digest of the message, which identifies it during invalidation
+   * @param  {mixed} message
+   * @returns {string}
+   */
+  static digest(message) {
+    return hash({ message });
+  }
+
+  /**
+   * Drops cached responses of the route, or only the ones to the given message
+   * @param  {string} route - routing key or queue
+   * @param  {mixed} [message]
+   * @returns {Void}
+   */
+  invalidate(route, message) {
+    assert(is.string(route) && route.length > 0, 'route must be a non-empty string');
+
+    const scope = message === undefined
+      ? `route:${route}`
+      : `message:${route}:${Cache.digest(message)}`;
+
+    this.remember([scope]);
+  }
+
+  /**
+   * Drops cached responses, which were tagged with any of the tags
+   * @param  {string|string[]} tags
+   * @returns {Void}
+   */
+  invalidateTags(tags) {
+    const scopes = (Array.isArray(tags) ? tags : [tags]).map((tag) => {
+      assert(is.string(tag) && tag.length > 0, 'tag must be a non-empty string');
+      return `tag:${tag}`;
+    });
+
+    this.remember(scopes);
+  }
+
+  /**
+   * Records invalidation of the scopes, forgets the ones, which no stored response may be affected by
+   * @param  {string[]} scopes
+   * @returns {Void}
+   */
+  remember(scopes) {
+    const now = Date.now();
+    const { invalidations } = this;
+
+    for (const [scope, invalidatedAt] of invalidations) {
+      if (invalidatedAt + this.retention >= now) {
+        break;
+      }
+
+      invalidations.delete(scope);
+      this.forgottenAt = invalidatedAt;
+    }
+
+    for (const scope of scopes) {
+      // keeps invalidations ordered by time
+      invalidations.delete(scope);
+      invalidations.set(scope, now);
+    }
+  }
+
+  /**
+   * @param  {Object} record - cached response
+   * @returns {boolean}
+   */
+  isInvalidated(record) {
+    const { route, digest, tags = [] } = record;
+    const requestedAt = record.requestedAt !== undefined ? record.requestedAt : record.storedAt;
+    const scopes = tags.map((tag) => `tag:${tag}`);
+
+    // i.e. response of the shared store, which was cached by another instance
+    if (requestedAt <= this.forgottenAt) {
+      return true;
+    }
 
-    // if enabled - use it
-    if (this.enabled) {
-      this.cache = HLRU(size);
+    if (route !== undefined) {
+      scopes.push(`route:${route}`, `message:${route}:${digest}`);
     }
+
+    return scopes.some((scope) => {
+      const invalidatedAt = this.invalidations.get(scope);
+      return invalidatedAt !== undefined && invalidatedAt >= requestedAt;
+    });
   }
 
-  get(message, maxAge) {
+  /**
+   * Returns cached response or the key to store it under. Response is fresh for
+   * maxAge, limited by max-age of the reply, and is returned with `stale` flag
+   * during stale-while-revalidate window afterwards
+   * @param  {string|Object} key - strings are used as-is, objects are hashed
+   * @param  {number} maxAge - max age of the response in ms
+   * @param  {number} [staleWindow=0] - used when reply has no stale-while-revalidate directive
+   * @returns {Promise<Object|string|null>}
+   */
+  async get(key, maxAge, staleWindow = 0) {
     if (this.enabled === false) {
       // eslint-disable-next-line no-console
       console.warn('tried to use disabled cache');
@@ -24,21 +136,44 @@ class Cache {
       return null;
     }
 
-    const hashKey = hash(message);
-    const response = this.cache.get(hashKey);
+    const hashKey = typeof key === 'string' ? key : hash(key);
+    const response = await this.store.get(hashKey);
+
+    if (response != null && !this.isInvalidated(response)) {
+      const age = Date.now() - response.storedAt;
+      const freshFor = response.maxAge !== undefined ? Math.min(maxAge, response.maxAge) : maxAge;
+      const staleFor = response.staleWhileRevalidate !== undefined ? response.staleWhileRevalidate : staleWindow;
 
-    if (response !== undefined) {
-      if (latency(response.maxAge) < maxAge) {
-        return response;
+      if (age < freshFor) {
+        return { ...response, key: hashKey, stale: false };
       }
 
-      this.cache.remove(hashKey);
+      if (age < freshFor + staleFor) {
+        return { ...response, key: hashKey, stale: true };
+      }
+    }
+
+    if (response != null) {
+      await this.store.delete(hashKey);
     }
 
     return hashKey;
   }
 
-  set(key, data) {
+  /**
+   * @param  {string} key - key returned by get()
+   * @param  {mixed} data - response to cache
+   * @param  {number} ttl - time in ms the store keeps response for
+   * @param  {Object} [meta]
+   * @param  {number} [meta.maxAge] - max-age of the reply
+   * @param  {number} [meta.staleWhileRevalidate] - stale-while-revalidate of the reply
+   * @param  {string} [meta.route] - routing key or queue of the request
+   * @param  {string} [meta.digest] - digest of the request message
+   * @param  {string[]} [meta.tags] - tags used for invalidation
+   * @param  {number} [meta.requestedAt] - time the request was sent at
+   * @returns {Promise<Void>}
+   */
+  async set(key, data, ttl, meta = {}) {
     if (this.enabled === false) {
       // eslint-disable-next-line no-console
       console.warn('tried to use disabled cache');
@@ -50,7 +185,30 @@ class Cache {
       return null;
     }
 
-    return this.cache.set(key, { maxAge: process.hrtime(), value: data });
+    const record = { storedAt: Date.now(), value: data };
+
+    for (const prop of ['maxAge', 'staleWhileRevalidate', 'route', 'digest', 'tags', 'requestedAt']) {
+      if (meta[prop] !== undefined) {
+        record[prop] = meta[prop];
+      }
+    }
+
+    const requestedAt = record.requestedAt !== undefined ? record.requestedAt : record.storedAt;
+    this.retention = Math.max(this.retention, record.storedAt - requestedAt + ttl);
+
+    return this.store.set(key, record, ttl);
+  }
+
+  /**
+   * @param  {string} key - key returned by get()
+   * @returns {Promise<Void>}
+   */
+  async delete(key) {
+    if (this.enabled === false || typeof key !== 'string') {
+      return null;
+    }
+
+    return this.store.delete(key);
   }
 }
 
@@ -0,0 +1,39 @@
+const EventEmitter = require('eventemitter3');
+const { AbortError } = require('./error');
+
+/**
+ * Exposed to the router as `raw.cancellation`, reflects whether
+ * caller has aborted the request while it was being processed
+ */
+class CancellationToken extends EventEmitter {
+  constructor() {
+    super();
+    this.cancelled = false;
+  }
+
+  /**
+   * Marks token as cancelled and notifies listeners
+   * @returns {Void}
+   */
+  cancel() {
+    if (this.cancelled === true) {
+      return;
+    }
+
+    this.cancelled = true;
+    this.emit('cancel');
+  }
+
+  /**
+   * Allows long-running handlers to bail out early
+   * @throws {AbortError}
+   * @returns {Void}
+   */
+  throwIfCancelled() {
+    if (this.cancelled === true) {
+      throw new AbortError('request was cancelled by the caller');
+    }
+  }
+}
+
+module.exports = CancellationToken;
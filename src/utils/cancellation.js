@@ -0,0 +1,51 @@
+const CancellationToken = require('./cancellation-token');
+
+/**
+ * Tokens of the requests which are currently processed, keyed by correlationId
+ */
+class Cancellations {
+  constructor() {
+    this.tokens = new Map();
+  }
+
+  /**
+   * Creates token for the incoming request
+   * @param  {string} correlationId
+   * @returns {CancellationToken}
+   */
+  track(correlationId) {
+    const token = new CancellationToken();
+    this.tokens.set(correlationId, token);
+    return token;
+  }
+
+  /**
+   * Cancels in-flight request, notices for unknown requests are ignored
+   * @param  {string} correlationId
+   * @returns {boolean} whether request was found
+   */
+  cancel(correlationId) {
+    const token = this.tokens.get(correlationId);
+
+    if (token === undefined) {
+      return false;
+    }
+
+    this.tokens.delete(correlationId);
+    token.cancel();
+    return true;
+  }
+
+  /**
+   * Forgets about completed request
+   * @param  {string} correlationId
+   * @returns {Void}
+   */
+  release(correlationId) {
+    this.tokens.delete(correlationId);
+  }
+}
+
+Cancellations.CancellationToken = CancellationToken;
+
+module.exports = Cancellations;
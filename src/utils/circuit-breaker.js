@@ -0,0 +1,183 @@
+const EventEmitter = require('eventemitter3');
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+// tickets of admitted requests, only outcome of the probe changes state of open circuit
+const ADMITTED = Object.freeze({ probe: false });
+const PROBE = Object.freeze({ probe: true });
+
+/**
+ * Tracks failures of the requests to a single route and stops sending
+ * them once failure ratio is exceeded, emits `open` & `close` events
+ */
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {Object} settings
+   * @param {number} settings.threshold - failure ratio which opens the circuit
+   * @param {number} settings.volume - min amount of requests in the window to make a decision
+   * @param {number} settings.window - duration of the window in ms
+   * @param {number} settings.cooldown - time in ms before open circuit lets a probe through
+   */
+  constructor(settings) {
+    super();
+    this.settings = settings;
+    this.state = CLOSED;
+    this.openedAt = 0;
+    this.probing = false;
+    this.reset();
+  }
+
+  /**
+   * Starts new window
+   * @returns {Void}
+   */
+  reset() {
+    this.requests = 0;
+    this.failures = 0;
+    this.windowStart = Date.now();
+  }
+
+  /**
+   * Whether request may be sent
+   * @returns {Object|false} ticket, which must be passed to success(), failure() or release()
+   */
+  allow() {
+    switch (this.state) {
+      case CLOSED:
+        return ADMITTED;
+
+      case OPEN:
+        if (Date.now() - this.openedAt < this.settings.cooldown) {
+          return false;
+        }
+
+        this.state = HALF_OPEN;
+        this.probing = true;
+        return PROBE;
+
+      default:
+        // only a single probe at a time
+        if (this.probing === true) {
+          return false;
+        }
+
+        this.probing = true;
+        return PROBE;
+    }
+  }
+
+  /**
+   * Records request which has received a reply
+   * @param  {Object} [ticket] - returned by allow()
+   * @returns {Void}
+   */
+  success(ticket = ADMITTED) {
+    if (ticket === PROBE) {
+      this.probing = false;
+
+      if (this.state === HALF_OPEN) {
+        this.state = CLOSED;
+        this.reset();
+        this.emit('close');
+      }
+
+      return;
+    }
+
+    // requests admitted before the circuit has opened say nothing about the probe
+    if (this.state === CLOSED) {
+      this.record(false);
+    }
+  }
+
+  /**
+   * Records request which has failed to receive a reply
+   * @param  {Object} [ticket] - returned by allow()
+   * @returns {Void}
+   */
+  failure(ticket = ADMITTED) {
+    if (ticket === PROBE) {
+      this.probing = false;
+
+      if (this.state === HALF_OPEN) {
+        this.open();
+      }
+
+      return;
+    }
+
+    if (this.state === CLOSED) {
+      this.record(true);
+    }
+  }
+
+  /**
+   * Records request with an outcome, which says nothing about the route,
+   * i.e. aborted one
+   * @param  {Object} [ticket] - returned by allow()
+   * @returns {Void}
+   */
+  release(ticket = ADMITTED) {
+    if (ticket === PROBE) {
+      this.probing = false;
+    }
+  }
+
+  /**
+   * @param  {boolean} failed
+   * @returns {Void}
+   */
+  record(failed) {
+    const { threshold, volume, window } = this.settings;
+
+    if (Date.now() - this.windowStart > window) {
+      this.reset();
+    }
+
+    this.requests += 1;
+    if (failed) {
+      this.failures += 1;
+    }
+
+    if (this.requests >= volume && this.failures / this.requests >= threshold) {
+      this.open();
+    }
+  }
+
+  /**
+   * @returns {Void}
+   */
+  open() {
+    const wasClosed = this.state === CLOSED;
+
+    this.state = OPEN;
+    this.openedAt = Date.now();
+    this.reset();
+
+    // failed probes keep circuit open
+    if (wasClosed === true) {
+      this.emit('open');
+    }
+  }
+
+  /**
+   * State for health checks
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      state: this.state,
+      requests: this.requests,
+      failures: this.failures,
+      openedAt: this.state === CLOSED ? null : this.openedAt,
+    };
+  }
+}
+
+CircuitBreaker.CLOSED = CLOSED;
+CircuitBreaker.OPEN = OPEN;
+CircuitBreaker.HALF_OPEN = HALF_OPEN;
+
+module.exports = CircuitBreaker;
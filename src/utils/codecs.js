@@ -0,0 +1,136 @@
+const assert = require('assert');
+const is = require('is');
+const flatstr = require('flatstr');
+const stringify = require('json-stringify-safe');
+const { ArgumentError } = require('common-errors');
+const { jsonSerializer, jsonDeserializer } = require('./serialization');
+const { msgpackCodec } = require('./msgpack');
+
+/**
+ * Default JSON codec, handles our serialization extensions
+ * @type {{ encode: Function, decode: Function }}
+ */
+const jsonCodec = {
+  encode(message) {
+    return Buffer.from(flatstr(stringify(message, jsonSerializer)));
+  },
+
+  decode(data) {
+    return JSON.parse(data, jsonDeserializer);
+  },
+};
+
+/**
+ * Coerces message to a buffer, used by raw codecs
+ * @param  {Buffer|string} message
+ * @returns {Buffer}
+ */
+const toBuffer = (message) => {
+  if (Buffer.isBuffer(message)) {
+    return message;
+  }
+
+  if (typeof message === 'string') {
+    return Buffer.from(message);
+  }
+
+  throw new ArgumentError('message must be a Buffer or a string');
+};
+
+/**
+ * Binary data, passed as-is to both ends
+ * @type {{ encode: Function, decode: Function, raw: boolean }}
+ */
+const binaryCodec = {
+  raw: true,
+  encode: toBuffer,
+  decode: (data) => data,
+};
+
+/**
+ * Plain utf8 text, consumer receives a string
+ * @type {{ encode: Function, decode: Function, raw: boolean }}
+ */
+const textCodec = {
+  raw: true,
+  encode: toBuffer,
+  decode: (data) => data.toString('utf8'),
+};
+
+/**
+ * Registry of encoders/decoders per content-type
+ */
+class Codecs {
+  /**
+   * @param {Object} [codecs={}] - custom codecs keyed by content-type
+   */
+  constructor(codecs = {}) {
+    this.codecs = new Map();
+
+    // default encoding when we were pre-stringifying and sending str
+    // and our updated encoding when we send buffer now
+    this.register('application/json', jsonCodec);
+    this.register('string/utf8', jsonCodec);
+    this.register('application/msgpack', msgpackCodec);
+    this.register('application/x-msgpack', msgpackCodec);
+
+    // raw payloads, which are not wrapped in { error, data } envelope on reply
+    this.register('application/octet-stream', binaryCodec);
+    this.register('text/plain', textCodec);
+
+    for (const [contentType, codec] of Object.entries(codecs)) {
+      this.register(contentType, codec);
+    }
+  }
+
+  /**
+   * Registers codec for a given content-type, overwrites existing one
+   * @param  {string} contentType
+   * @param  {Object} codec
+   * @param  {Function} codec.encode - (message) => Buffer | Promise<Buffer>
+   * @param  {Function} codec.decode - (Buffer) => mixed | Promise<mixed>
+   * @param  {boolean} [codec.raw=false] - replies are sent without { error, data } envelope
+   * @returns {Codecs}
+   */
+  register(contentType, codec) {
+    assert(is.string(contentType) && contentType.length > 0, 'contentType must be a non-empty string');
+    assert(is.object(codec), 'codec must be an object');
+    assert(is.fn(codec.encode), 'codec.encode must be a function');
+    assert(is.fn(codec.decode), 'codec.decode must be a function');
+
+    this.codecs.set(contentType, codec);
+    return this;
+  }
+
+  /**
+   * @param  {string} contentType
+   * @returns {Object|undefined}
+   */
+  get(contentType) {
+    return this.codecs.get(contentType);
+  }
+
+  /**
+   * @param  {string} contentType
+   * @returns {boolean}
+   */
+  has(contentType) {
+    return this.codecs.has(contentType);
+  }
+
+  /**
+   * Whether messages of this content-type are sent without envelope
+   * @param  {string} contentType
+   * @returns {boolean}
+   */
+  isRaw(contentType) {
+    const codec = this.codecs.get(contentType);
+    return codec !== undefined && codec.raw === true;
+  }
+}
+
+Codecs.jsonCodec = jsonCodec;
+Codecs.binaryCodec = binaryCodec;
+Codecs.textCodec = textCodec;
+
+module.exports = Codecs;
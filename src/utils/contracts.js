@@ -0,0 +1,128 @@
+const assert = require('assert');
+const is = require('is');
+const { ValidationError } = require('common-errors');
+
+/**
+ * Normalizes validator to a function, which returns validated value or throws
+ * @param  {Object|Function} validator - Joi schema or any object with Joi-like .validate(),
+ *  or a function which returns validated value and throws on invalid input
+ * @param  {string} description - used in error messages
+ * @returns {Function}
+ */
+function toValidator(validator, description) {
+  if (is.fn(validator)) {
+    return (value) => {
+      try {
+        return validator(value);
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          throw err;
+        }
+
+        throw new ValidationError(`${description}: ${err.message}`, 400);
+      }
+    };
+  }
+
+  assert(is.object(validator) && is.fn(validator.validate), `${description} must be a Joi schema or a function`);
+
+  return (value) => {
+    const { error, value: validated } = validator.validate(value);
+
+    if (error) {
+      const [detail] = error.details || [];
+      const field = detail && Array.isArray(detail.path) ? detail.path.join('.') : undefined;
+      throw new ValidationError(`${description}: ${error.message}`, 400, field);
+    }
+
+    return validated;
+  };
+}
+
+/**
+ * Per-route payload contracts
+ */
+class Contracts {
+  /**
+   * @param {Object} [contracts={}] - contracts keyed by routing key
+   */
+  constructor(contracts = {}) {
+    this.requests = new Map();
+    this.responses = new Map();
+
+    for (const [route, contract] of Object.entries(contracts)) {
+      this.register(route, contract);
+    }
+  }
+
+  /**
+   * Registers request and/or response contract for a given route, overwrites existing one
+   * @param  {string} route - routing key
+   * @param  {Object} contract
+   * @param  {Object|Function} [contract.request] - validator of the message
+   * @param  {Object|Function} [contract.response] - validator of the response data
+   * @returns {Contracts}
+   */
+  register(route, contract) {
+    assert(is.string(route), 'route must be a string');
+    assert(is.object(contract), 'contract must be an object');
+
+    const { request, response } = contract;
+    assert(request !== undefined || response !== undefined, 'contract must define request or response');
+
+    this.requests.delete(route);
+    this.responses.delete(route);
+
+    if (request !== undefined) {
+      this.requests.set(route, toValidator(request, `invalid request on route "${route}"`));
+    }
+
+    if (response !== undefined) {
+      this.responses.set(route, toValidator(response, `invalid response on route "${route}"`));
+    }
+
+    return this;
+  }
+
+  /**
+   * @param  {string} route
+   * @returns {boolean}
+   */
+  hasRequest(route) {
+    return this.requests.has(route);
+  }
+
+  /**
+   * @param  {string} route
+   * @returns {boolean}
+   */
+  hasResponse(route) {
+    return this.responses.has(route);
+  }
+
+  /**
+   * Validates message sent to the route
+   * @param  {string} route
+   * @param  {mixed} message
+   * @returns {mixed} validated message
+   * @throws {ValidationError}
+   */
+  validateRequest(route, message) {
+    const validate = this.requests.get(route);
+    return validate === undefined ? message : validate(message);
+  }
+
+  /**
+   * Validates response data received from the route
+   * @param  {string} route
+   * @param  {mixed} data
+   * @returns {mixed} validated data
+   * @throws {ValidationError}
+   */
+  validateResponse(route, data) {
+    const validate = this.responses.get(route);
+    return validate === undefined ? data : validate(data);
+  }
+}
+
+module.exports = Contracts;
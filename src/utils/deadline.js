@@ -0,0 +1,29 @@
+// AsyncLocalStorage is not available on older node.js versions,
+// in which case deadline must be passed explicitly via options.deadline
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = AsyncLocalStorage !== undefined
+  ? new AsyncLocalStorage()
+  : null;
+
+/**
+ * Invokes fn, so that requests made from within it inherit the deadline
+ * @param  {number} deadline - unix timestamp in ms
+ * @param  {Function} fn
+ * @returns {mixed}
+ */
+exports.run = function run(deadline, fn) {
+  return storage === null
+    ? fn()
+    : storage.run(deadline, fn);
+};
+
+/**
+ * Deadline of the message, which is being processed
+ * @returns {number|undefined}
+ */
+exports.current = function current() {
+  return storage === null
+    ? undefined
+    : storage.getStore();
+};
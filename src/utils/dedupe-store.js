@@ -0,0 +1,73 @@
+const HLRU = require('hashlru');
+
+/**
+ * Default in-memory store of processed messages. External stores must implement
+ * the same interface, methods may return promises:
+ *  - get(key) => record | undefined
+ *  - set(key, record, ttl) => void
+ *  - delete(key) => void
+ *  - [setIfAbsent(key, record, ttl) => boolean] - atomic, without it messages
+ *    may be processed by several consumers at the same time
+ */
+class MemoryDedupeStore {
+  /**
+   * @param {number} size - max amount of remembered messages
+   */
+  constructor(size) {
+    this.cache = HLRU(size);
+  }
+
+  /**
+   * @param  {string} key
+   * @returns {Object|undefined}
+   */
+  get(key) {
+    const entry = this.cache.get(key);
+
+    if (entry === undefined) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.remove(key);
+      return undefined;
+    }
+
+    return entry.record;
+  }
+
+  /**
+   * @param  {string} key
+   * @param  {Object} record
+   * @param  {number} ttl - time in ms to remember the record for
+   * @returns {Void}
+   */
+  set(key, record, ttl) {
+    this.cache.set(key, { record, expiresAt: Date.now() + ttl });
+  }
+
+  /**
+   * @param  {string} key
+   * @param  {Object} record
+   * @param  {number} ttl - time in ms to remember the record for
+   * @returns {boolean} whether record was stored
+   */
+  setIfAbsent(key, record, ttl) {
+    if (this.get(key) !== undefined) {
+      return false;
+    }
+
+    this.set(key, record, ttl);
+    return true;
+  }
+
+  /**
+   * @param  {string} key
+   * @returns {Void}
+   */
+  delete(key) {
+    this.cache.remove(key);
+  }
+}
+
+module.exports = MemoryDedupeStore;
@@ -0,0 +1,82 @@
+const assert = require('assert');
+const is = require('is');
+const zlib = require('zlib');
+const Bluebird = require('bluebird');
+
+/**
+ * Creates encoding from a pair of zlib functions
+ * @param  {Function} compress
+ * @param  {Function} decompress
+ * @returns {{ compress: Function, decompress: Function }}
+ */
+const zlibEncoding = (compress, decompress) => ({
+  compress: Bluebird.promisify(compress),
+  decompress: Bluebird.promisify(decompress),
+});
+
+const plainEncoding = {
+  compress: (data) => data,
+  decompress: (data) => data,
+};
+
+/**
+ * Registry of compressors per content-encoding
+ */
+class Encodings {
+  /**
+   * @param {Object} [encodings={}] - custom compressors keyed by content-encoding
+   */
+  constructor(encodings = {}) {
+    this.encodings = new Map();
+
+    this.register('plain', plainEncoding);
+    this.register('identity', plainEncoding);
+    this.register('gzip', zlibEncoding(zlib.gzip, zlib.gunzip));
+    this.register('deflate', zlibEncoding(zlib.deflate, zlib.inflate));
+
+    // brotli is only available since node 10.16
+    if (is.fn(zlib.brotliCompress)) {
+      this.register('br', zlibEncoding(zlib.brotliCompress, zlib.brotliDecompress));
+    }
+
+    for (const [contentEncoding, encoding] of Object.entries(encodings)) {
+      this.register(contentEncoding, encoding);
+    }
+  }
+
+  /**
+   * Registers compressor for a given content-encoding, overwrites existing one
+   * @param  {string} contentEncoding
+   * @param  {Object} encoding
+   * @param  {Function} encoding.compress - (Buffer) => Buffer | Promise<Buffer>
+   * @param  {Function} encoding.decompress - (Buffer) => Buffer | Promise<Buffer>
+   * @returns {Encodings}
+   */
+  register(contentEncoding, encoding) {
+    assert(is.string(contentEncoding) && contentEncoding.length > 0, 'contentEncoding must be a non-empty string');
+    assert(is.object(encoding), 'encoding must be an object');
+    assert(is.fn(encoding.compress), 'encoding.compress must be a function');
+    assert(is.fn(encoding.decompress), 'encoding.decompress must be a function');
+
+    this.encodings.set(contentEncoding, encoding);
+    return this;
+  }
+
+  /**
+   * @param  {string} contentEncoding
+   * @returns {Object|undefined}
+   */
+  get(contentEncoding) {
+    return this.encodings.get(contentEncoding);
+  }
+
+  /**
+   * @param  {string} contentEncoding
+   * @returns {boolean}
+   */
+  has(contentEncoding) {
+    return this.encodings.has(contentEncoding);
+  }
+}
+
+module.exports = Encodings;
@@ -61,3 +61,15 @@ module.exports.AmqpDLXError = Errors.helpers.generateClass('AmqpDLXError', {
     return message.join('. ');
   },
 });
+
+module.exports.AbortError = Errors.helpers.generateClass('AbortError', {
+  args: ['message'],
+});
+
+module.exports.CircuitOpenError = Errors.helpers.generateClass('CircuitOpenError', {
+  args: ['route'],
+
+  generateMessage() {
+    return `circuit is open for route ${this.route}`;
+  },
+});
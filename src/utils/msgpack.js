@@ -0,0 +1,88 @@
+const { encode, decode, ExtensionCodec } = require('@msgpack/msgpack');
+const {
+  serializeError,
+  deserializeError,
+  detectType,
+  jsonDeserializer,
+  urlType,
+} = require('./serialization');
+
+// msgpack extension types, mirror extensions of jsonSerializer/jsonDeserializer
+const EXT_ERROR = 0;
+const EXT_MAP = 1;
+const EXT_SET = 2;
+const EXT_BUFFER = 3;
+const EXT_TAGGED = 4;
+
+const extensionCodec = new ExtensionCodec();
+
+// msgpack has no older peers, so URLs are always tagged, unlike with JSON
+const msgpackURLType = { type: 'ms-url', version: 1, ...urlType };
+
+const options = {
+  extensionCodec,
+  // behave like JSON.stringify and omit undefined properties
+  ignoreUndefined: true,
+};
+
+extensionCodec.register({
+  type: EXT_ERROR,
+  encode: (value) => (value instanceof Error ? encode(serializeError(value).data, options) : null),
+  decode: (data) => deserializeError(decode(data, options)),
+});
+
+extensionCodec.register({
+  type: EXT_MAP,
+  encode: (value) => (value instanceof Map ? encode(Array.from(value), options) : null),
+  decode: (data) => new Map(decode(data, options)),
+});
+
+extensionCodec.register({
+  type: EXT_SET,
+  encode: (value) => (value instanceof Set ? encode(Array.from(value), options) : null),
+  decode: (data) => new Set(decode(data, options)),
+});
+
+// plain bin type would be decoded as Uint8Array, so we tag buffers
+// to make sure they are returned as Buffer instances
+extensionCodec.register({
+  type: EXT_BUFFER,
+  encode: (value) => (Buffer.isBuffer(value) ? value : null),
+  decode: (data) => Buffer.from(data),
+});
+
+// the rest of tagged types, registered via registerType(), except for
+// the ones natively supported by msgpack, such as Date
+extensionCodec.register({
+  type: EXT_TAGGED,
+  encode: (value) => {
+    const descriptor = detectType(value) || (value instanceof URL ? msgpackURLType : undefined);
+    if (descriptor === undefined) {
+      return null;
+    }
+
+    const { type, version } = descriptor;
+    return encode([type, version, descriptor.serialize(value)], options);
+  },
+  decode: (data) => {
+    const [type, v, tagged] = decode(data, options);
+    return jsonDeserializer('', { type, v, data: tagged });
+  },
+});
+
+/**
+ * MessagePack codec
+ * @type {{ encode: Function, decode: Function }}
+ */
+exports.msgpackCodec = {
+  encode(message) {
+    const encoded = encode(message, options);
+    return Buffer.from(encoded.buffer, encoded.byteOffset, encoded.byteLength);
+  },
+
+  decode(data) {
+    return decode(data, options);
+  },
+};
+
+exports.extensionCodec = extensionCodec;
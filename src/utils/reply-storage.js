@@ -17,11 +17,19 @@ class ReplyStorage {
    */
   onTimeout(correlationId) {
     const { storage } = this;
-    const { reject, routing, timeout } = storage.get(correlationId);
+    const {
+      resolve, reject, routing, timeout, collect,
+    } = storage.get(correlationId);
 
     // clean-up
     storage.delete(correlationId);
 
+    // collected replies are returned once time window elapses
+    if (collect !== undefined) {
+      setImmediate(resolve, collect.responses);
+      return;
+    }
+
     // reject with a timeout error
     setImmediate(reject, new Errors.TimeoutError(generateErrorMessage(routing, timeout)));
   }
@@ -36,6 +44,8 @@ class ReplyStorage {
    * @param  {string} opts.routing - routing key for error message.
    * @param  {boolean} opts.simple - whether return body-only response or include headers
    * @param  {Array[number]} opts.time - process.hrtime() results.
+   * @param  {ResponseIterator} [opts.stream] - receives streamed replies
+   * @param  {Object} [opts.collect] - replies of many consumers, resolved on timeout
    * @returns {Void}
    */
   push(correlationId, opts) {
@@ -52,7 +62,14 @@ class ReplyStorage {
    */
   reject(correlationId, error) {
     const { storage } = this;
-    const { timer, reject } = storage.get(correlationId);
+    const future = storage.get(correlationId);
+
+    // already settled, i.e. timed out or aborted
+    if (future === undefined) {
+      return;
+    }
+
+    const { timer, reject } = future;
 
     // remove timer
     clearTimeout(timer);
@@ -64,6 +81,32 @@ class ReplyStorage {
     setImmediate(reject, error);
   }
 
+  /**
+   * Returns stored future without removing it
+   * @param  {string} correlationId
+   * @returns {Object|undefined}
+   */
+  get(correlationId) {
+    return this.storage.get(correlationId);
+  }
+
+  /**
+   * Restarts timeout of the stored future, used when
+   * request receives several replies
+   * @param  {string} correlationId
+   * @returns {Void}
+   */
+  refresh(correlationId) {
+    const future = this.storage.get(correlationId);
+
+    if (future === undefined) {
+      return;
+    }
+
+    clearTimeout(future.timer);
+    future.timer = setTimeout(this.onTimeout, future.timeout, correlationId);
+  }
+
   pop(correlationId) {
     const future = this.storage.get(correlationId);
 
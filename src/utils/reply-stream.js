@@ -0,0 +1,97 @@
+const Bluebird = require('bluebird');
+const { InvalidOperationError } = require('common-errors');
+const { STREAM_SEQ_HEADER, STREAM_END_HEADER } = require('../constants');
+
+/**
+ * Exposed to the router as `raw.stream` when caller has requested
+ * streamed response via publishAndStream
+ */
+class ReplyStream {
+  /**
+   * @param  {AMQPTransport} transport
+   * @param  {Object} raw - incoming message
+   * @param  {Function} next - router callback, which completes the stream
+   */
+  constructor(transport, raw, next) {
+    this.transport = transport;
+    this.raw = raw;
+    this.next = next;
+    this.seq = 0;
+    this.ended = false;
+  }
+
+  /**
+   * Prepares reply options of the chunk
+   * @param  {Object} replyOptions
+   * @param  {boolean} last - whether it is an end marker
+   * @returns {Object}
+   */
+  chunkOptions(replyOptions, last) {
+    const headers = { ...replyOptions.headers, [STREAM_SEQ_HEADER]: this.seq };
+    this.seq += 1;
+
+    if (last === true) {
+      headers[STREAM_END_HEADER] = true;
+    }
+
+    return { ...replyOptions, headers };
+  }
+
+  /**
+   * Sends next chunk to the caller
+   * @param  {mixed} data
+   * @param  {Object} [replyOptions={}]
+   * @returns {Bluebird<any>}
+   */
+  write(data, replyOptions = {}) {
+    if (this.ended === true) {
+      return Bluebird.reject(new InvalidOperationError('stream has already ended'));
+    }
+
+    // caller has gone away
+    if (this.raw.cancellation.cancelled === true) {
+      return Bluebird.resolve();
+    }
+
+    const { transport, raw } = this;
+    return transport.reply(raw.properties, { data }, undefined, undefined, this.chunkOptions(replyOptions, false));
+  }
+
+  /**
+   * Completes the stream, same as invoking router callback
+   * @param  {mixed} [data] - last chunk
+   * @param  {Object} [replyOptions]
+   * @returns {Bluebird<any>}
+   */
+  end(data, replyOptions) {
+    return this.next(null, data, replyOptions);
+  }
+
+  /**
+   * Sends final chunk & end marker or an error
+   * @param  {Error} [error]
+   * @param  {mixed} [data]
+   * @param  {Object} [replyOptions={}]
+   * @param  {Span} [span]
+   * @returns {Bluebird<any>}
+   */
+  finish(error, data, replyOptions = {}, span) {
+    if (this.ended === true) {
+      return Bluebird.reject(new InvalidOperationError('stream has already ended'));
+    }
+
+    const { transport, raw } = this;
+    const work = [];
+
+    if (error == null && data !== undefined) {
+      work.push(this.write(data, replyOptions));
+    }
+
+    this.ended = true;
+    work.push(transport.reply(raw.properties, { error }, span, raw, this.chunkOptions(replyOptions, true)));
+
+    return Bluebird.all(work);
+  }
+}
+
+module.exports = ReplyStream;
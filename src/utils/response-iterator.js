@@ -0,0 +1,140 @@
+const noop = require('lodash/noop');
+
+/**
+ * Async iterator over streamed replies, returned by publishAndStream.
+ * Chunks are delivered in the order they were written by the consumer
+ */
+class ResponseIterator {
+  constructor() {
+    // out-of-order chunks, seq -> data
+    this.chunks = new Map();
+    // ordered chunks, which were not consumed yet
+    this.queue = [];
+    // seq of the next chunk to be delivered
+    this.seq = 0;
+    // seq of the end marker
+    this.last = -1;
+    this.done = false;
+    this.error = null;
+    this.pending = null;
+
+    /**
+     * invoked when caller stops iterating before the stream has ended
+     * @type {Function}
+     */
+    this.onReturn = noop;
+  }
+
+  /**
+   * Accepts streamed chunk
+   * @param  {number} seq - position of the chunk
+   * @param  {mixed} data - chunk payload
+   * @param  {boolean} [last=false] - whether it is an end marker
+   * @returns {boolean} whether all the chunks have been received
+   */
+  push(seq, data, last = false) {
+    if (this.done === true) {
+      return true;
+    }
+
+    if (last === true) {
+      this.last = seq;
+    } else {
+      this.chunks.set(seq, data);
+    }
+
+    // release chunks in order
+    while (this.chunks.has(this.seq)) {
+      const value = this.chunks.get(this.seq);
+      this.chunks.delete(this.seq);
+      this.seq += 1;
+      this.deliver({ value, done: false });
+    }
+
+    if (this.seq === this.last) {
+      this.done = true;
+      this.deliver({ value: undefined, done: true });
+    }
+
+    return this.done;
+  }
+
+  /**
+   * Terminates the stream with an error
+   * @param  {Error} error
+   * @returns {Void}
+   */
+  fail(error) {
+    if (this.done === true) {
+      return;
+    }
+
+    this.done = true;
+
+    const { pending } = this;
+    if (pending === null) {
+      // reported on the next read
+      this.error = error;
+      return;
+    }
+
+    this.pending = null;
+    pending.reject(error);
+  }
+
+  /**
+   * @param  {Object} result - iterator result
+   * @returns {Void}
+   */
+  deliver(result) {
+    const { pending } = this;
+
+    if (pending === null) {
+      if (result.done === false) {
+        this.queue.push(result);
+      }
+      return;
+    }
+
+    this.pending = null;
+    pending.resolve(result);
+  }
+
+  next() {
+    if (this.queue.length > 0) {
+      return Promise.resolve(this.queue.shift());
+    }
+
+    if (this.error !== null) {
+      const { error } = this;
+      this.error = null;
+      return Promise.reject(error);
+    }
+
+    if (this.done === true) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+    });
+  }
+
+  return() {
+    if (this.done === false) {
+      this.done = true;
+      this.onReturn();
+    }
+
+    this.queue = [];
+    this.chunks.clear();
+
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+module.exports = ResponseIterator;
@@ -0,0 +1,107 @@
+const assert = require('assert');
+const is = require('is');
+
+/**
+ * Matches words of the routing key against words of the topic pattern
+ * @param  {string[]} pattern - `*` matches exactly one word, `#` - zero or more words
+ * @param  {string[]} words
+ * @param  {number} [p=0] - position in pattern
+ * @param  {number} [w=0] - position in words
+ * @returns {boolean}
+ */
+function matchWords(pattern, words, p = 0, w = 0) {
+  if (p === pattern.length) {
+    return w === words.length;
+  }
+
+  const word = pattern[p];
+
+  if (word === '#') {
+    for (let idx = w; idx <= words.length; idx += 1) {
+      if (matchWords(pattern, words, p + 1, idx)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  if (w === words.length) {
+    return false;
+  }
+
+  return (word === '*' || word === words[w]) && matchWords(pattern, words, p + 1, w + 1);
+}
+
+/**
+ * Registry of message handlers keyed by AMQP topic patterns
+ */
+class Routes {
+  constructor() {
+    // pattern -> { words, handler }, in order of registration
+    this.routes = new Map();
+  }
+
+  /**
+   * Registers handler for a given pattern, overwrites existing one
+   * @param  {string} pattern - routing key or topic pattern with `*` and `#` wildcards
+   * @param  {Function} handler - (message, properties, raw, next) => void
+   * @returns {Routes}
+   */
+  add(pattern, handler) {
+    assert(is.string(pattern) && pattern.length > 0, 'pattern must be a non-empty string');
+    assert(is.fn(handler), 'handler must be a function');
+
+    this.routes.set(pattern, { words: pattern.split('.'), handler });
+    return this;
+  }
+
+  /**
+   * @param  {string} pattern
+   * @returns {boolean} whether pattern was registered
+   */
+  delete(pattern) {
+    return this.routes.delete(pattern);
+  }
+
+  /**
+   * @param  {string} pattern
+   * @returns {boolean}
+   */
+  has(pattern) {
+    return this.routes.has(pattern);
+  }
+
+  /**
+   * @returns {string[]}
+   */
+  patterns() {
+    return Array.from(this.routes.keys());
+  }
+
+  /**
+   * Finds handler of the routing key, exact match wins, otherwise
+   * the first registered pattern, which matches the key, is used
+   * @param  {string} routingKey
+   * @returns {Function|undefined}
+   */
+  match(routingKey) {
+    const exact = this.routes.get(routingKey);
+    if (exact !== undefined) {
+      return exact.handler;
+    }
+
+    const words = routingKey.split('.');
+    for (const route of this.routes.values()) {
+      if (matchWords(route.words, words)) {
+        return route.handler;
+      }
+    }
+
+    return undefined;
+  }
+}
+
+Routes.matchWords = matchWords;
+
+module.exports = Routes;
@@ -1,3 +1,5 @@
+/* global BigInt, BigInt64Array, BigUint64Array */
+const assert = require('assert');
 const is = require('is');
 const Errors = require('common-errors');
 
@@ -7,6 +9,60 @@ const MSError = Errors.helpers.generateClass('MSError', {
   args: ['message'],
 });
 
+/**
+ * Error classes used to rehydrate remote errors, name -> constructor
+ * @type {Map<string, Function>}
+ */
+const errorClasses = new Map();
+
+/**
+ * Registers error class, so that remote errors with the same name
+ * are deserialized as its instances
+ * @param  {Function} ErrorClass
+ * @param  {string} [name=ErrorClass.name]
+ * @returns {Void}
+ */
+function registerError(ErrorClass, name = ErrorClass.name) {
+  assert(is.fn(ErrorClass), 'ErrorClass must be a constructor');
+  assert(ErrorClass === Error || ErrorClass.prototype instanceof Error, 'ErrorClass must extend Error');
+  assert(is.string(name) && name.length > 0, 'name must be a non-empty string');
+
+  errorClasses.set(name, ErrorClass);
+}
+
+/**
+ * Creates error instance of the class registered under the name, doesn't invoke
+ * its constructor as signatures are different - properties must be assigned afterwards
+ * @param  {string} [name]
+ * @returns {Error}
+ */
+function createError(name) {
+  const ErrorClass = errorClasses.get(name);
+
+  // fallback for unknown errors
+  if (ErrorClass === undefined) {
+    return new MSError();
+  }
+
+  return Reflect.construct(Error, [], ErrorClass);
+}
+
+// built-in errors & everything that common-errors provide,
+// except for the base Error, which is represented by MSError
+[EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError].forEach((ErrorClass) => {
+  registerError(ErrorClass);
+});
+
+[Errors, Errors.io, Errors.data].forEach((namespace) => {
+  for (const ErrorClass of Object.values(namespace)) {
+    if (is.fn(ErrorClass) && ErrorClass.prototype instanceof Error && ErrorClass.name !== 'Error') {
+      registerError(ErrorClass);
+    }
+  }
+});
+
+registerError(MSError);
+
 /**
  * Serializes Own Properties of Error
  * @param  {String} key
@@ -25,7 +81,10 @@ function serializeOwnProperties(key) {
  * @returns {Void}
  */
 function deserializeOwnProperties(data) {
-  this[data.key] = data.value;
+  // methods, which some of the errors define as own properties, are lost during serialization
+  if (data.value !== undefined) {
+    this[data.key] = data.value;
+  }
 }
 
 /**
@@ -39,9 +98,16 @@ function serializeError(error) {
     type: 'ms-error',
   };
 
-  serialized.data = Object
+  const keys = Object
     .getOwnPropertyNames(error)
-    .map(serializeOwnProperties, error);
+    .filter((key) => typeof error[key] !== 'function');
+
+  // name of built-in errors is defined on prototype, plain Error is represented by MSError
+  if (!keys.includes('name') && typeof error.name === 'string' && error.name !== 'Error') {
+    keys.push('name');
+  }
+
+  serialized.data = keys.map(serializeOwnProperties, error);
 
   return serialized;
 }
@@ -52,61 +118,237 @@ function serializeError(error) {
  * @return {Error}
  */
 function deserializeError(error) {
-  const deserialized = new MSError();
+  const name = error.find((data) => data.key === 'name');
+  const deserialized = createError(name && name.value);
   error.forEach(deserializeOwnProperties, deserialized);
   return deserialized;
 }
 
-function jsonSerializer(key, value) {
-  if (value instanceof Error) {
-    return serializeError(value);
+/**
+ * Registered tagged types, tag -> descriptor
+ * @type {Map<string, Object>}
+ */
+const types = new Map();
+
+/**
+ * Descriptors used for detecting tagged values, latest registered first
+ * @type {Array<Object>}
+ */
+const detectors = [];
+
+/**
+ * Registers tagged type, which is transferred as { type, data[, v] } structure
+ * @param  {string} type - unique tag of the type
+ * @param  {Object} descriptor
+ * @param  {Function} [descriptor.Class] - instances of this class are tagged
+ * @param  {Function} [descriptor.test] - (value) => boolean, alternative to Class
+ * @param  {Function} [descriptor.serialize] - (value) => json-compatible data
+ * @param  {Function} descriptor.deserialize - (data, version) => value
+ * @param  {number} [descriptor.version=1] - version of the serialized data format
+ * @returns {Void}
+ */
+function registerType(type, descriptor) {
+  assert(is.string(type) && type.length > 0, 'type must be a non-empty string');
+  assert(is.object(descriptor), 'descriptor must be an object');
+  assert(is.fn(descriptor.deserialize), 'descriptor.deserialize must be a function');
+
+  const { Class, test = Class && ((value) => value instanceof Class) } = descriptor;
+  const tagged = {
+    type,
+    test,
+    serialize: descriptor.serialize,
+    deserialize: descriptor.deserialize,
+    version: descriptor.version || 1,
+  };
+
+  // replace previous registration
+  const idx = detectors.findIndex((it) => it.type === type);
+  if (idx !== -1) {
+    detectors.splice(idx, 1);
+  }
+
+  types.set(type, tagged);
+
+  // types without serializer are only used for decoding
+  if (is.fn(test)) {
+    assert(is.fn(descriptor.serialize), 'descriptor.serialize must be a function');
+    detectors.unshift(tagged);
+  }
+}
+
+/**
+ * Finds descriptor of the tagged type for a given value
+ * @param  {mixed} value
+ * @returns {Object|undefined}
+ */
+function detectType(value) {
+  for (const descriptor of detectors) {
+    if (descriptor.test(value)) {
+      return descriptor;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Creates tagged representation of the value
+ * @param  {Object} descriptor
+ * @param  {mixed} value
+ * @returns {Object}
+ */
+function tag(descriptor, value) {
+  const tagged = { type: descriptor.type, data: descriptor.serialize(value) };
+
+  // version is omitted for the initial one. NOTE: peers which don't support versions
+  // ignore it, formats they can't decode must be sent with a new type instead
+  if (descriptor.version !== 1) {
+    tagged.v = descriptor.version;
   }
 
-  if (value && value.error instanceof Error) {
-    value.error = serializeError(value.error);
+  return tagged;
+}
+
+/**
+ * JSON.stringify replacer
+ * NOTE: must not be an arrow function as it relies on `this` being the holder
+ * @param  {string} key
+ * @param  {mixed} value
+ * @returns {mixed}
+ */
+function jsonSerializer(key, value) {
+  // toJSON() has already been called on value, so we inspect original one
+  const original = this[key];
+
+  if (original === null || (typeof original !== 'object' && typeof original !== 'bigint')) {
+    return value;
   }
 
-  if (value instanceof Map) {
-    return { type: 'map', data: Object.fromEntries(value) };
+  // Buffer.prototype.toJSON produces { type: 'Buffer', data: [...] }
+  if (Buffer.isBuffer(original)) {
+    return value;
   }
 
-  if (value instanceof Set) {
-    return { type: 'set', data: Array.from(value) };
+  const descriptor = detectType(original);
+  if (descriptor === undefined) {
+    return value;
   }
 
-  return value;
+  return tag(descriptor, original);
 }
 
+/**
+ * JSON.parse reviver
+ * @param  {string} key
+ * @param  {mixed} value
+ * @returns {mixed}
+ */
 function jsonDeserializer(key, value) {
   if (!is.object(value)) {
     return value;
   }
 
-  const { data } = value;
-  if (!data) {
+  const { type, data } = value;
+  if (typeof type !== 'string' || data === undefined) {
     return value;
   }
 
-  const { type } = value;
-  switch (type) {
-    case 'ms-error':
-      return deserializeError(data);
+  const descriptor = types.get(type);
+  if (descriptor === undefined) {
+    return value;
+  }
 
-    case 'Buffer':
-    case 'buffer':
-      return Buffer.from(data);
+  return descriptor.deserialize(data, value.v || 1);
+}
 
-    case 'ms-set':
-      return new Set(data);
+// decode-only, encoded by Buffer.prototype.toJSON
+const deserializeBuffer = (data) => Buffer.from(data);
+registerType('Buffer', { deserialize: deserializeBuffer });
+registerType('buffer', { deserialize: deserializeBuffer });
 
-    case 'ms-map':
-      return new Map(Object.entries(data));
+const typedArrays = [
+  Int8Array, Uint8Array, Uint8ClampedArray,
+  Int16Array, Uint16Array, Int32Array, Uint32Array,
+  Float32Array, Float64Array,
+  BigInt64Array, BigUint64Array,
+];
 
-    default:
-      return value;
-  }
-}
+registerType('ms-typed-array', {
+  test: (value) => ArrayBuffer.isView(value) && !(value instanceof DataView),
+  serialize: (value) => ({
+    kind: value.constructor.name,
+    data: Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64'),
+  }),
+  deserialize: ({ kind, data }) => {
+    const TypedArray = typedArrays.find((it) => it.name === kind) || Uint8Array;
+    const buf = Buffer.from(data, 'base64');
+    // copy to make sure that memory is aligned
+    const bytes = new Uint8Array(buf);
+    return new TypedArray(bytes.buffer, 0, bytes.byteLength / TypedArray.BYTES_PER_ELEMENT);
+  },
+});
+
+/**
+ * URL and Date are sent as strings produced by their toJSON() unless tagging is enabled with
+ * registerType('ms-url', urlType) / registerType('ms-date', dateType) - older peers
+ * are not able to decode tagged ones, so it must only be done once all of them are upgraded
+ * @type {Object}
+ */
+const urlType = {
+  Class: URL,
+  serialize: (value) => value.href,
+  deserialize: (data) => new URL(data),
+};
+
+const dateType = {
+  Class: Date,
+  serialize: (value) => (Number.isNaN(value.getTime()) ? null : value.toISOString()),
+  deserialize: (data) => new Date(data === null ? NaN : data),
+};
+
+// decode-only by default
+registerType('ms-url', { deserialize: urlType.deserialize });
+registerType('ms-date', { deserialize: dateType.deserialize });
+
+registerType('ms-bigint', {
+  test: (value) => typeof value === 'bigint',
+  serialize: (value) => value.toString(),
+  deserialize: (data) => BigInt(data),
+});
+
+registerType('ms-set', {
+  Class: Set,
+  serialize: (value) => Array.from(value),
+  deserialize: (data) => new Set(data),
+});
+
+// older peers only decode plain object data of ms-map, entries are used for non-string keys
+registerType('ms-map-entries', {
+  Class: Map,
+  serialize: (value) => Array.from(value),
+  deserialize: (data) => new Map(data),
+});
+
+registerType('ms-map', {
+  test: (value) => value instanceof Map && Array.from(value.keys()).every(is.string),
+  serialize: (value) => Object.fromEntries(value),
+  deserialize: (data) => new Map(Object.entries(data)),
+});
+
+registerType('ms-error', {
+  Class: Error,
+  serialize: (value) => serializeError(value).data,
+  deserialize: deserializeError,
+});
 
+exports.registerError = registerError;
+exports.createError = createError;
+exports.serializeError = serializeError;
+exports.deserializeError = deserializeError;
+exports.registerType = registerType;
+exports.detectType = detectType;
 exports.jsonSerializer = jsonSerializer;
 exports.jsonDeserializer = jsonDeserializer;
 exports.MSError = MSError;
+exports.urlType = urlType;
+exports.dateType = dateType;
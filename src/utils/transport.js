@@ -14,6 +14,7 @@ const kPromisified = Symbol.for('@microfleet/amqp-promisified');
 });
 
 const amqp = require('@microfleet/amqp-coffee');
+const Publisher = require('@microfleet/amqp-coffee/bin/src/lib/Publisher');
 
 amqp.prototype.consumeAsync = async function consumeAsync(...args) {
   let consumer;
@@ -25,4 +26,17 @@ amqp.prototype.consumeAsync = async function consumeAsync(...args) {
   return consumer;
 };
 
+/**
+ * Publishes message using the channel of a consumer, direct reply-to
+ * requires requests to be published on the channel which consumes replies
+ * @param  {Consumer} channel
+ * @param  {...any} args - same as of publish
+ * @returns {Promise<*>}
+ */
+amqp.publishOnChannelAsync = function publishOnChannelAsync(channel, ...args) {
+  return Promise.fromCallback((next) => {
+    Publisher.prototype.publish.call(channel, ...args, next);
+  });
+};
+
 module.exports = amqp;
@@ -8,6 +8,7 @@ const assert = require('assert');
 const microtime = require('microtime');
 const { MockTracer } = require('opentracing/lib/mock_tracer');
 const debug = require('debug')('amqp');
+const { createAbortController } = require('./helpers/abort-controller');
 
 // add inject/extract implementation
 MockTracer.prototype._inject = (span, format, carrier) => {
@@ -357,6 +358,653 @@ describe('AMQPTransport', function AMQPTransportTestSuite() {
       response = await transport.publishAndWait('test.default', original, { gzip: true });
       assert.deepStrictEqual(response.resp, original);
     });
+
+    it('receives compressed replies when accepting encodings', async () => {
+      const original = { sample: true };
+      const spy = sinon.spy();
+
+      transport.on('pre', spy);
+      try {
+        const response = await transport.publishAndWait('test.default', original, { acceptEncoding: ['br', 'gzip'] });
+        assert.deepStrictEqual(response.resp, original);
+        assert.equal(spy.lastCall.args[0].properties.contentEncoding, 'br');
+      } finally {
+        transport.removeListener('pre', spy);
+      }
+    });
+
+    it('parses deflate & brotli content-encoding', async () => {
+      const original = {
+        sample: true,
+        buf: Buffer.from('content'),
+      };
+
+      for (const contentEncoding of ['deflate', 'br']) {
+        // eslint-disable-next-line no-await-in-loop
+        const response = await transport.publishAndWait('test.default', original, { contentEncoding });
+        assert.deepStrictEqual(response.resp, original);
+      }
+    });
+
+    it('parses application/msgpack', async () => {
+      const original = {
+        sample: true,
+        buf: Buffer.from('content'),
+        map: new Map([['key', new Set([1, 2])]]),
+      };
+
+      let response = await transport.publishAndWait('test.default', original, {
+        contentType: 'application/msgpack',
+      });
+      assert.deepStrictEqual(response.resp, original);
+
+      response = await transport.publishAndWait('test.default', original, {
+        contentType: 'application/msgpack',
+        gzip: true,
+      });
+      assert.deepStrictEqual(response.resp, original);
+
+      await assert.rejects(transport.publishAndWait('test.throw', {}, { contentType: 'application/msgpack' }), {
+        name: 'HttpStatusError',
+        message: 'ok',
+        statusCode: 202,
+      });
+    });
+  });
+
+  describe('raw content types', () => {
+    let consumer;
+    let publisher;
+
+    before('init consumer & publisher', async () => {
+      consumer = await AMQPTransport.connect({
+        ...configuration,
+        queue: 'test-raw',
+        listen: ['test.raw'],
+      }, (message, properties, raw, next) => {
+        if (message === 'fail') {
+          return next(new HttpStatusError(400, 'bad raw message'));
+        }
+
+        return next(null, message);
+      });
+
+      publisher = await AMQPTransport.connect(configuration);
+    });
+
+    after('close transports', async () => {
+      await Promise.all([consumer.close(), publisher.close()]);
+    });
+
+    it('sends and receives application/octet-stream', async () => {
+      const payload = Buffer.from([0, 1, 2, 254, 255]);
+      const response = await publisher.publishAndWait('test.raw', payload, {
+        contentType: 'application/octet-stream',
+      });
+
+      assert.ok(Buffer.isBuffer(response));
+      assert.deepStrictEqual(response, payload);
+    });
+
+    it('sends and receives text/plain', async () => {
+      const response = await publisher.publishAndWait('test.raw', 'plain text', {
+        contentType: 'text/plain',
+      });
+
+      assert.strictEqual(response, 'plain text');
+    });
+
+    it('receives errors for raw requests', async () => {
+      await assert.rejects(publisher.publishAndWait('test.raw', 'fail', { contentType: 'text/plain' }), {
+        name: 'HttpStatusError',
+        statusCode: 400,
+      });
+    });
+  });
+
+  describe('contracts', () => {
+    const Joi = require('joi');
+    const handler = sinon.spy((message, properties, raw, next) => (
+      next(null, properties.routingKey === 'test.contract.drift' ? { id: 'drift' } : { id: message.id })
+    ));
+
+    const contract = {
+      request: Joi.object({ id: Joi.number().required() }),
+      response: Joi.object({ id: Joi.number().required() }),
+    };
+
+    let consumer;
+    let publisher;
+
+    before('init consumer & publisher', async () => {
+      consumer = await AMQPTransport.connect({
+        ...configuration,
+        queue: 'test-contracts',
+        listen: ['test.contract', 'test.contract.drift'],
+        contracts: { 'test.contract': contract },
+      }, handler);
+
+      publisher = await AMQPTransport.connect({
+        ...configuration,
+        contracts: { 'test.contract.drift': contract },
+      });
+    });
+
+    after('close transports', async () => {
+      await Promise.all([consumer.close(), publisher.close()]);
+    });
+
+    it('rejects invalid input before handler runs', async () => {
+      // publisher has no contract for this route, consumer rejects it
+      await assert.rejects(publisher.publishAndWait('test.contract', { id: 'invalid' }), {
+        name: 'ValidationError',
+      });
+
+      assert.equal(handler.callCount, 0);
+      assert.deepStrictEqual(await publisher.publishAndWait('test.contract', { id: 1 }), { id: 1 });
+    });
+
+    it('rejects responses which do not match contract', async () => {
+      await assert.rejects(publisher.publishAndWait('test.contract.drift', { id: 1 }), {
+        name: 'ValidationError',
+      });
+    });
+  });
+
+  describe('cancellation', () => {
+    let consumer;
+    let publisher;
+    let cancelled;
+
+    before('init consumer & publisher', async () => {
+      cancelled = new Promise((resolve) => {
+        consumer = AMQPTransport.connect({
+          ...configuration,
+          queue: 'test-cancellation',
+          listen: 'test.cancel',
+        }, (message, properties, raw, next) => {
+          raw.cancellation.once('cancel', () => {
+            resolve(raw.cancellation);
+            next(null, 'too late');
+          });
+        });
+      });
+
+      consumer = await consumer;
+      publisher = await AMQPTransport.connect({ ...configuration, private: true });
+    });
+
+    after('close transports', async () => {
+      await Promise.all([consumer.close(), publisher.close()]);
+    });
+
+    it('notifies consumer about aborted request', async () => {
+      const controller = createAbortController();
+      const request = publisher.publishAndWait('test.cancel', 'long', {
+        signal: controller.signal,
+        cancelNotice: true,
+      });
+
+      setTimeout(() => controller.abort(), 100);
+
+      await assert.rejects(request, { name: 'AbortError' });
+      const token = await cancelled;
+
+      assert.ok(token.cancelled);
+      assert.equal(consumer.cancellations.tokens.size, 0);
+    });
+  });
+
+  describe('streamed replies', () => {
+    let consumer;
+    let publisher;
+
+    before('init consumer & publisher', async () => {
+      consumer = await AMQPTransport.connect({
+        ...configuration,
+        queue: 'test-streaming',
+        listen: 'test.stream',
+      }, async (message, properties, raw, next) => {
+        if (message.fail) {
+          await raw.stream.write('partial');
+          return next(new HttpStatusError(418, 'teapot'));
+        }
+
+        for (let i = 0; i < message.count; i += 1) {
+          // eslint-disable-next-line no-await-in-loop
+          await raw.stream.write({ i });
+        }
+
+        return raw.stream.end('done');
+      });
+
+      publisher = await AMQPTransport.connect({ ...configuration, private: true });
+    });
+
+    after('close transports', async () => {
+      await Promise.all([consumer.close(), publisher.close()]);
+    });
+
+    it('receives chunks in order', async () => {
+      const chunks = [];
+      for await (const chunk of publisher.publishAndStream('test.stream', { count: 5 })) {
+        chunks.push(chunk);
+      }
+
+      assert.deepStrictEqual(chunks, [{ i: 0 }, { i: 1 }, { i: 2 }, { i: 3 }, { i: 4 }, 'done']);
+      assert.equal(publisher.replyStorage.storage.size, 0);
+    });
+
+    it('terminates stream with an error', async () => {
+      const iterator = publisher.publishAndStream('test.stream', { fail: true });
+
+      assert.deepStrictEqual(await iterator.next(), { value: 'partial', done: false });
+      await assert.rejects(iterator.next(), { name: 'HttpStatusError', statusCode: 418 });
+    });
+  });
+
+  describe('scatter-gather', () => {
+    let consumers;
+    let publisher;
+
+    before('init consumers & publisher', async () => {
+      consumers = await Promise.all(['alpha', 'beta'].map((name) => AMQPTransport.connect({
+        ...configuration,
+        name,
+        queue: `test-collect-${name}`,
+        listen: 'test.collect',
+      }, (message, properties, raw, next) => next(null, { name }))));
+
+      publisher = await AMQPTransport.connect({ ...configuration, private: true });
+    });
+
+    after('close transports', async () => {
+      await Promise.all([...consumers, publisher].map((transport) => transport.close()));
+    });
+
+    it('collects replies within time window', async () => {
+      const responses = await publisher.publishAndCollect('test.collect', {}, { window: 500 });
+      const names = responses.map((response) => response.appId.name).sort();
+
+      assert.deepStrictEqual(names, ['alpha', 'beta']);
+      responses.forEach((response) => assert.equal(response.data.name, response.appId.name));
+    });
+
+    it('resolves early once max replies are received', async () => {
+      const responses = await publisher.publishAndCollect('test.collect', {}, { window: 10000, max: 1 });
+      assert.equal(responses.length, 1);
+    });
+  });
+
+  describe('retries', () => {
+    const keys = [];
+    let consumer;
+    let publisher;
+
+    before('init consumer & publisher', async () => {
+      // first delivery is left without reply
+      consumer = await AMQPTransport.connect({
+        ...configuration,
+        queue: 'test-retry',
+        listen: 'test.retry',
+      }, (message, properties, raw, next) => {
+        keys.push(properties.headers['x-idempotency-key']);
+        if (keys.length > 1) next(null, keys.length);
+      });
+
+      publisher = await AMQPTransport.connect({ ...configuration, private: true });
+    });
+
+    after('close transports', async () => {
+      await Promise.all([consumer.close(), publisher.close()]);
+    });
+
+    it('retries timed out request with the same idempotency key', async () => {
+      const response = await publisher.publishAndWait('test.retry', {}, {
+        timeout: 200,
+        retry: { attempts: 2, min: 0, max: 0 },
+      });
+
+      assert.equal(response, 2);
+      assert.equal(keys.length, 2);
+      assert.ok(keys[0]);
+      assert.equal(keys[1], keys[0]);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    let silent = true;
+    let consumer;
+    let publisher;
+
+    before('init consumer & publisher', async () => {
+      consumer = await AMQPTransport.connect({
+        ...configuration,
+        queue: 'test-circuit',
+        listen: 'test.circuit',
+      }, (message, properties, raw, next) => {
+        if (silent === false) next(null, 'ok');
+      });
+
+      publisher = await AMQPTransport.connect({
+        ...configuration,
+        private: true,
+        circuitBreaker: { enabled: true, volume: 2, cooldown: 200 },
+      });
+    });
+
+    after('close transports', async () => {
+      await Promise.all([consumer.close(), publisher.close()]);
+    });
+
+    it('fails fast while route keeps timing out & closes after probe', async () => {
+      const onClose = sinon.spy();
+      publisher.on('circuit-close', onClose);
+
+      await assert.rejects(publisher.publishAndWait('test.circuit', {}, { timeout: 100 }), { name: 'TimeoutError' });
+      await assert.rejects(publisher.publishAndWait('test.circuit', {}, { timeout: 100 }), { name: 'TimeoutError' });
+      await assert.rejects(publisher.publishAndWait('test.circuit', {}), { name: 'CircuitOpenError' });
+
+      silent = false;
+      await Promise.delay(200);
+
+      assert.equal(await publisher.publishAndWait('test.circuit', {}), 'ok');
+      assert.equal(onClose.callCount, 1);
+    });
+  });
+
+  describe('hedged requests', () => {
+    let deliveries = 0;
+    let consumer;
+    let publisher;
+
+    before('init consumer & publisher', async () => {
+      // first delivery is slow
+      consumer = await AMQPTransport.connect({
+        ...configuration,
+        queue: 'test-hedge',
+        listen: 'test.hedge',
+      }, (message, properties, raw, next) => {
+        deliveries += 1;
+        const delivery = deliveries;
+        setTimeout(next, delivery === 1 ? 300 : 0, null, delivery);
+      });
+
+      publisher = await AMQPTransport.connect({ ...configuration, private: true });
+    });
+
+    after('close transports', async () => {
+      await Promise.all([consumer.close(), publisher.close()]);
+    });
+
+    it('resolves with reply to the duplicate & drops the late one', async () => {
+      const logError = sinon.spy(publisher.log, 'error');
+
+      try {
+        assert.equal(await publisher.publishAndWait('test.hedge', {}, { hedge: { after: 50, max: 1 } }), 2);
+
+        await Promise.delay(400);
+        assert.equal(deliveries, 2);
+        assert.equal(logError.callCount, 0);
+      } finally {
+        logError.restore();
+      }
+    });
+  });
+
+  describe('request coalescing', () => {
+    const handler = sinon.spy((message, properties, raw, next) => setTimeout(next, 50, null, { id: message.id }));
+    let consumer;
+    let publisher;
+
+    before('init consumer & publisher', async () => {
+      consumer = await AMQPTransport.connect({
+        ...configuration,
+        queue: 'test-coalesce',
+        listen: 'test.coalesce',
+      }, handler);
+
+      publisher = await AMQPTransport.connect({ ...configuration, private: true });
+    });
+
+    after('close transports', async () => {
+      await Promise.all([consumer.close(), publisher.close()]);
+    });
+
+    it('sends identical in-flight requests once', async () => {
+      const responses = await Promise.all([
+        publisher.publishAndWait('test.coalesce', { id: 1 }, { coalesce: true }),
+        publisher.publishAndWait('test.coalesce', { id: 1 }, { coalesce: true }),
+        publisher.publishAndWait('test.coalesce', { id: 2 }, { coalesce: true }),
+      ]);
+
+      assert.deepStrictEqual(responses, [{ id: 1 }, { id: 1 }, { id: 2 }]);
+      assert.notStrictEqual(responses[0], responses[1]);
+      assert.equal(handler.callCount, 2);
+    });
+  });
+
+  describe('deadlines', () => {
+    const handler = sinon.spy((message, properties, raw, next) => next(null, properties.deadline));
+    let consumer;
+    let publisher;
+
+    before('init consumer & publisher', async () => {
+      consumer = await AMQPTransport.connect({
+        ...configuration,
+        queue: 'test-deadline',
+        listen: 'test.deadline',
+        skipExpired: true,
+      }, handler);
+
+      publisher = await AMQPTransport.connect({ ...configuration, private: true });
+    });
+
+    after('close transports', async () => {
+      await Promise.all([consumer.close(), publisher.close()]);
+    });
+
+    it('exposes deadline on properties', async () => {
+      const deadline = Date.now() + 1000;
+      assert.equal(await publisher.publishAndWait('test.deadline', {}, { deadline }), deadline);
+    });
+
+    it('drops expired requests', async () => {
+      handler.resetHistory();
+
+      await publisher.publish('test.deadline', {}, { headers: { 'x-deadline': Date.now() - 1 } });
+      await Promise.delay(100);
+
+      assert.equal(handler.callCount, 0);
+    });
+  });
+
+  describe('deduplication', () => {
+    const handler = sinon.spy((message, properties, raw, next) => next(null, { id: message.id, at: Date.now() }));
+    let consumer;
+    let publisher;
+
+    before('init consumer & publisher', async () => {
+      consumer = await AMQPTransport.connect({
+        ...configuration,
+        queue: 'test-dedupe',
+        listen: 'test.dedupe',
+        dedupe: { enabled: true },
+      }, handler);
+
+      publisher = await AMQPTransport.connect({ ...configuration, private: true });
+    });
+
+    after('close transports', async () => {
+      await Promise.all([consumer.close(), publisher.close()]);
+    });
+
+    it('replays reply to duplicate request', async () => {
+      const first = await publisher.publishAndWait('test.dedupe', { id: 1 }, { messageId: 'dedupe-1' });
+      const second = await publisher.publishAndWait('test.dedupe', { id: 1 }, { messageId: 'dedupe-1' });
+
+      assert.deepStrictEqual(second, first);
+      assert.equal(handler.callCount, 1);
+    });
+  });
+
+  describe('direct reply-to', () => {
+    let consumer;
+    let publisher;
+
+    before('init consumer & publisher', async () => {
+      consumer = await AMQPTransport.connect({
+        ...configuration,
+        queue: 'test-direct-reply-to',
+        listen: 'test.direct',
+      }, (message, properties, raw, next) => next(null, { replyTo: properties.replyTo }));
+
+      publisher = await AMQPTransport.connect({ ...configuration, private: true, replyMode: 'direct' });
+    });
+
+    after('close transports', async () => {
+      await Promise.all([consumer.close(), publisher.close()]);
+    });
+
+    it('receives replies via direct reply-to', async () => {
+      const responses = await Promise.all([
+        publisher.publishAndWait('test.direct', {}),
+        publisher.publishAndWait('test.direct', {}),
+      ]);
+
+      responses.forEach(({ replyTo }) => assert.ok(replyTo.startsWith('amq.rabbitmq.reply-to')));
+    });
+
+    it('rejects requests with publisher confirms', async () => {
+      await assert.rejects(publisher.publishAndWait('test.direct', {}, { confirm: true }), { name: 'NotSupportedError' });
+
+      // channel is still usable
+      const { replyTo } = await publisher.publishAndWait('test.direct', {});
+      assert.ok(replyTo.startsWith('amq.rabbitmq.reply-to'));
+    });
+  });
+
+  describe('cache invalidation broadcast', () => {
+    const cacheInvalidation = { enabled: true };
+    let consumer;
+    let clients;
+    let counter = 0;
+
+    before('init consumer & clients', async () => {
+      consumer = await AMQPTransport.connect({
+        ...configuration,
+        queue: 'test-cache-invalidation',
+        listen: 'test.cache.invalidation',
+        cacheInvalidation,
+      }, (message, properties, raw, next) => {
+        counter += 1;
+        next(null, counter, { headers: { 'x-cache-tags': `user:${message.id}` } });
+      });
+
+      clients = await Promise.all([
+        AMQPTransport.connect({ ...configuration, private: true, cacheInvalidation }),
+        AMQPTransport.connect({ ...configuration, private: true, cacheInvalidation }),
+      ]);
+    });
+
+    after('close transports', async () => {
+      await Promise.all([consumer.close(), ...clients.map((client) => client.close())]);
+    });
+
+    it('drops cached responses of every instance', async () => {
+      const request = (client) => client.publishAndWait('test.cache.invalidation', { id: 1 }, { cache: 60000 });
+      const [first, second] = clients;
+
+      const cached = [await request(first), await request(second)];
+      assert.deepStrictEqual([await request(first), await request(second)], cached);
+
+      // mutating service may not cache anything itself
+      await consumer.invalidateCache({ tags: 'user:1' });
+      await Promise.delay(100);
+
+      const refreshed = [await request(first), await request(second)];
+      assert.ok(refreshed[0] > cached[1]);
+      assert.ok(refreshed[1] > refreshed[0]);
+    });
+  });
+
+  describe('route handlers', () => {
+    let consumer;
+    let publisher;
+
+    before('init consumer & publisher', async () => {
+      // queue without own handler is consumed with route handlers
+      consumer = await AMQPTransport.connect({ ...configuration, queue: 'test-route-handlers', listen: 'test.missing' });
+      await consumer.route('test.routes.*', (message, properties, raw, next) => next(null, 'wildcard'));
+      await consumer.route('test.routes.get', (message, properties, raw, next) => next(null, 'exact'));
+
+      publisher = await AMQPTransport.connect({ ...configuration, private: true });
+    });
+
+    after('close transports', async () => {
+      await Promise.all([consumer.close(), publisher.close()]);
+    });
+
+    it('dispatches messages by routing key', async () => {
+      await consumer.route('test.routes.#', (message, properties, raw, next) => next(null, 'deep'));
+
+      assert.equal(await publisher.publishAndWait('test.routes.get', {}), 'exact');
+      assert.equal(await publisher.publishAndWait('test.routes.list', {}), 'wildcard');
+      assert.equal(await publisher.publishAndWait('test.routes.get.one', {}), 'deep');
+    });
+
+    it('replies with NotFound when no handler matches', async () => {
+      await assert.rejects(publisher.publishAndWait('test.missing', {}), { name: 'NotFoundError' });
+    });
+
+    it('keeps listen routes bound after their handlers are removed', async () => {
+      await consumer.route('test.missing', (message, properties, raw, next) => next(null, 'found'));
+      assert.equal(await publisher.publishAndWait('test.missing', {}), 'found');
+
+      await consumer.unroute('test.missing');
+      await assert.rejects(publisher.publishAndWait('test.missing', {}), { name: 'NotFoundError' });
+    });
+
+    it('stops receiving messages of removed routes', async () => {
+      await consumer.unroute('test.routes.get');
+      await consumer.unroute('test.routes.*');
+      await consumer.unroute('test.routes.#');
+      await assert.rejects(publisher.publishAndWait('test.routes.list', {}, { timeout: 500 }), { name: 'TimeoutError' });
+    });
+  });
+
+  describe('route handlers of queues per route', () => {
+    const handlers = {
+      a: sinon.spy((message, properties, raw, next) => next(null, 'a')),
+      b: sinon.spy((message, properties, raw, next) => next(null, 'b')),
+    };
+    let consumer;
+    let publisher;
+
+    before('init consumer & publisher', async () => {
+      consumer = await AMQPTransport.multiConnect({
+        ...configuration,
+        queue: 'test-multi-routes',
+        listen: ['test.multi.a', 'test.multi.b'],
+      });
+      await consumer.route('test.multi.a', handlers.a);
+      await consumer.route('test.multi.b', handlers.b);
+
+      publisher = await AMQPTransport.connect({ ...configuration, private: true });
+    });
+
+    after('close transports', async () => {
+      await Promise.all([consumer.close(), publisher.close()]);
+    });
+
+    it('delivers each message to a single queue', async () => {
+      assert.equal(await publisher.publishAndWait('test.multi.a', {}), 'a');
+      assert.equal(await publisher.publishAndWait('test.multi.b', {}), 'b');
+      await Promise.delay(100);
+
+      assert.equal(handlers.a.callCount, 1);
+      assert.equal(handlers.b.callCount, 1);
+    });
   });
 
   describe('AMQPTransport.multiConnect', () => {
@@ -814,6 +1462,14 @@ describe('AMQPTransport', function AMQPTransportTestSuite() {
           raw.properties[kReplyHeaders] = { 'x-custom-header': 'custom-header-value' };
 
           return next(null, { bar: 'baz' });
+        case '/reply-options':
+          assert.deepEqual(message, { foo: 'bar' });
+
+          return next(null, { bar: 'baz' }, {
+            headers: { 'x-custom-header': 'reply-options' },
+            gzip: true,
+            priority: 5,
+          });
         case '/return-headers-on-error':
           assert.deepEqual(message, { foo: 'bar' });
 
@@ -913,6 +1569,40 @@ describe('AMQPTransport', function AMQPTransportTestSuite() {
       }
     });
 
+    it('is able to set reply options', async () => {
+      const { transport } = this;
+      const spy = sinon.spy();
+
+      transport.on('pre', spy);
+      try {
+        const kReestablishConsumer = await transport.createConsumedQueue(router, ['/reply-options']);
+
+        const response = await transport.publishAndWait('/reply-options', { foo: 'bar' }, {
+          confirm: true,
+          simpleResponse: false,
+        });
+
+        assert.deepEqual(
+          response,
+          {
+            data: { bar: 'baz' },
+            headers: { 'x-custom-header': 'reply-options', timeout: 10000 },
+          }
+        );
+
+        const { properties } = spy.lastCall.args[0];
+        assert.equal(properties.contentEncoding, 'gzip');
+        assert.equal(properties.priority, 5);
+
+        await Promise.all([
+          transport.closeAllConsumers(),
+          transport._queues.get(kReestablishConsumer).deleteAsync(),
+        ]);
+      } finally {
+        transport.removeListener('pre', spy);
+      }
+    });
+
     it('is able to return headers with error response', async () => {
       const { transport } = this;
       const sample = { foo: 'bar' };
@@ -0,0 +1,77 @@
+const Promise = require('bluebird');
+const assert = require('assert');
+const sinon = require('sinon');
+
+describe('utils: cache store', () => {
+  const AMQPTransport = require('../src');
+  const { createStubbedTransport } = require('./helpers/stub-transport');
+  const MemoryCacheStore = require('../src/utils/cache-store');
+  const conformance = require('../src/utils/cache-store-conformance');
+
+  describe('MemoryCacheStore conformance', () => {
+    conformance.forEach(({ name, test }) => {
+      it(name, () => test(new MemoryCacheStore(100)));
+    });
+  });
+
+  describe('external store', () => {
+    let store;
+    let transport;
+    let publishAsync;
+
+    beforeEach(() => {
+      store = {
+        get: sinon.stub().resolves(undefined),
+        set: sinon.stub().resolves(),
+        delete: sinon.stub().resolves(),
+      };
+
+      transport = createStubbedTransport({ cache: 0, cacheStore: store });
+      ({ publishAsync } = transport._amqp);
+    });
+
+    it('rejects stores without required methods', () => {
+      assert.throws(() => new AMQPTransport({ debug: false, cacheStore: { get() {} } }), /cacheStore must implement/);
+    });
+
+    it('stores responses with ttl of the request', async () => {
+      const promise = transport.publishAndWait('test.cache', { id: 1 }, { cache: 500 });
+
+      await Promise.delay(5);
+      const { correlationId } = publishAsync.firstCall.args[3];
+      transport._privateMessageRouter({ data: 'response' }, { correlationId, headers: {} });
+
+      assert.equal(await promise, 'response');
+      assert.equal(store.set.callCount, 1);
+
+      const [key, record, ttl] = store.set.firstCall.args;
+      assert.equal(key, store.get.firstCall.args[0]);
+      assert.equal(record.value.data, 'response');
+      assert.equal(ttl, 500);
+    });
+
+    it('returns responses from the store', async () => {
+      store.get.resolves({ storedAt: Date.now(), value: { data: 'cached', headers: {} } });
+
+      assert.equal(await transport.publishAndWait('test.cache', { id: 1 }, { cache: 500 }), 'cached');
+      assert.equal(publishAsync.callCount, 0);
+    });
+
+    it('ignores stale responses & store failures', async () => {
+      store.get.onFirstCall().resolves({ storedAt: Date.now() - 1000, value: { data: 'stale' } });
+      store.get.onSecondCall().rejects(new Error('store is down'));
+
+      const requests = [
+        transport.publishAndWait('test.cache', { id: 1 }, { cache: 500, timeout: 20 }),
+        transport.publishAndWait('test.cache', { id: 2 }, { cache: 500, timeout: 20 }),
+      ];
+
+      await Promise.delay(5);
+      assert.equal(publishAsync.callCount, 2);
+      assert.equal(store.delete.callCount, 1);
+
+      await assert.rejects(requests[0], { name: 'TimeoutError' });
+      await assert.rejects(requests[1], { name: 'TimeoutError' });
+    });
+  });
+});
@@ -0,0 +1,234 @@
+const Promise = require('bluebird');
+const assert = require('assert');
+const sinon = require('sinon');
+
+describe('response cache', () => {
+  const AMQPTransport = require('../src');
+  const { createStubbedTransport } = require('./helpers/stub-transport');
+
+  let transport;
+  let publishAsync;
+
+  const reply = (data, headers = {}) => {
+    const { correlationId } = publishAsync.lastCall.args[3];
+    transport._privateMessageRouter({ data }, { correlationId, headers });
+  };
+
+  const request = async (route, message, options, data, headers) => {
+    const { callCount } = publishAsync;
+    const promise = transport.publishAndWait(route, message, { cache: 1000, ...options });
+
+    await Promise.delay(1);
+    if (publishAsync.callCount > callCount) {
+      reply(data, headers);
+    }
+
+    return promise;
+  };
+
+  beforeEach(() => {
+    transport = createStubbedTransport({ cacheKeyHeaders: ['x-tenant'] });
+    ({ publishAsync } = transport._amqp);
+  });
+
+  it('does not share responses between routes & exchanges', async () => {
+    assert.equal(await request('test.a', { id: 1 }, {}, 'a'), 'a');
+    assert.equal(await request('test.b', { id: 1 }, {}, 'b'), 'b');
+    assert.equal(await request('test.a', { id: 1 }, { exchange: 'other' }, 'c'), 'c');
+    assert.equal(await request('test.a', { id: 1 }, {}, 'd'), 'a');
+    assert.equal(publishAsync.callCount, 3);
+  });
+
+  it('includes selected headers into the key', async () => {
+    const tenant = (id) => ({ headers: { 'x-tenant': id, 'x-trace': Math.random() } });
+
+    assert.equal(await request('test.a', {}, tenant('one'), 1), 1);
+    assert.equal(await request('test.a', {}, tenant('two'), 2), 2);
+    assert.equal(await request('test.a', {}, tenant('one'), 3), 1);
+    assert.equal(publishAsync.callCount, 2);
+  });
+
+  it('uses custom key function', async () => {
+    const cacheKey = sinon.spy((route, message) => `${route}:${message.id}`);
+
+    assert.equal(await request('test.a', { id: 1, ts: 1 }, { cacheKey }, 1), 1);
+    assert.equal(await request('test.a', { id: 1, ts: 2 }, { cacheKey }, 2), 1);
+    assert.equal(publishAsync.callCount, 1);
+    assert.equal(cacheKey.firstCall.args[0], 'test.a');
+    assert.equal(publishAsync.firstCall.args[3].cacheKey, undefined);
+  });
+
+  it('parses cache-control directives', () => {
+    const { parseCacheControl } = require('../src/helpers');
+
+    assert.deepStrictEqual(parseCacheControl(undefined), { noStore: false });
+    assert.deepStrictEqual(parseCacheControl('Max-Age=60, stale-while-revalidate=5, private'), {
+      noStore: false,
+      maxAge: 60000,
+      staleWhileRevalidate: 5000,
+    });
+    assert.deepStrictEqual(parseCacheControl('no-store, max-age=invalid'), { noStore: true });
+  });
+
+  it('honors max-age & no-store of the reply', async () => {
+    const noCache = { 'cache-control': 'max-age=0' };
+    const noStore = { 'cache-control': 'no-store' };
+
+    assert.equal(await request('test.a', {}, {}, 1, noStore), 1);
+    assert.equal(await request('test.a', {}, {}, 2), 2);
+    assert.equal(await request('test.a', {}, {}, 3), 2);
+    assert.equal(await request('test.b', {}, {}, 4, noCache), 4);
+    assert.equal(await request('test.b', {}, {}, 5), 5);
+    assert.equal(publishAsync.callCount, 4);
+  });
+
+  it('returns stale response while refreshing it in background', async () => {
+    const headers = { 'cache-control': 'max-age=0, stale-while-revalidate=60' };
+
+    assert.equal(await request('test.a', {}, {}, 1, headers), 1);
+
+    // stale response is returned, only one refresh is sent
+    assert.equal(await transport.publishAndWait('test.a', {}, { cache: 1000 }), 1);
+    assert.equal(await transport.publishAndWait('test.a', {}, { cache: 1000 }), 1);
+    await Promise.delay(5);
+    assert.equal(publishAsync.callCount, 2);
+
+    reply(2, headers);
+    await Promise.delay(5);
+
+    assert.equal(await transport.publishAndWait('test.a', {}, { cache: 1000 }), 2);
+    assert.equal(transport._revalidating.size, 1);
+
+    await Promise.delay(5);
+    reply(3, headers);
+    await Promise.delay(5);
+    assert.equal(transport._revalidating.size, 0);
+  });
+
+  it('uses stale window of the request when reply has none', async () => {
+    const options = { cache: 10, staleWhileRevalidate: 1000 };
+
+    assert.equal(await request('test.a', {}, options, 1), 1);
+    await Promise.delay(20);
+
+    assert.equal(await transport.publishAndWait('test.a', {}, options), 1);
+    await Promise.delay(5);
+    assert.equal(publishAsync.callCount, 2);
+    assert.equal(publishAsync.lastCall.args[3].staleWhileRevalidate, undefined);
+
+    reply(2);
+    await Promise.delay(5);
+    assert.equal(await transport.publishAndWait('test.a', {}, options), 2);
+  });
+
+  describe('invalidation', () => {
+    const tick = () => Promise.delay(2);
+
+    it('drops responses of the route or the message', async () => {
+      assert.equal(await request('test.a', { id: 1 }, {}, 1), 1);
+      assert.equal(await request('test.a', { id: 2 }, {}, 2), 2);
+      assert.equal(await request('test.b', { id: 1 }, {}, 3), 3);
+
+      await tick();
+      transport.cache.invalidate('test.a', { id: 1 });
+      await tick();
+
+      assert.equal(await request('test.a', { id: 1 }, {}, 4), 4);
+      assert.equal(await request('test.a', { id: 2 }, {}, 5), 2);
+
+      await tick();
+      transport.cache.invalidate('test.a');
+      await tick();
+
+      assert.equal(await request('test.a', { id: 1 }, {}, 6), 6);
+      assert.equal(await request('test.a', { id: 2 }, {}, 7), 7);
+      assert.equal(await request('test.b', { id: 1 }, {}, 8), 3);
+      assert.equal(publishAsync.callCount, 6);
+    });
+
+    it('drops responses by tags of the request & the reply', async () => {
+      assert.equal(await request('test.a', { id: 1 }, { cacheTags: ['user:1'] }, 1), 1);
+      assert.equal(await request('test.a', { id: 2 }, {}, 2, { 'x-cache-tags': 'user:2, users' }), 2);
+      assert.equal(publishAsync.firstCall.args[3].cacheTags, undefined);
+
+      await tick();
+      transport.cache.invalidateTags('user:1');
+      await tick();
+
+      assert.equal(await request('test.a', { id: 1 }, {}, 3), 3);
+      assert.equal(await request('test.a', { id: 2 }, {}, 4), 2);
+
+      await tick();
+      await transport.invalidateCache({ tags: ['users'] });
+      await tick();
+
+      assert.equal(await request('test.a', { id: 2 }, {}, 5), 5);
+    });
+
+    it('keeps invalidations while affected responses may be stored', async () => {
+      const Cache = require('../src/utils/cache');
+      const clock = sinon.useFakeTimers({ now: 1000, toFake: ['Date'] });
+
+      try {
+        const store = new Map();
+        const cache = new Cache(0, store);
+        await cache.set('a', 1, 1000, { route: 'test.a', requestedAt: Date.now() });
+        await cache.set('b', 2, 1000, { route: 'test.b', requestedAt: Date.now() });
+
+        clock.tick(10);
+        cache.invalidate('test.a');
+        for (let idx = 0; idx < 3000; idx += 1) {
+          cache.invalidateTags(`tag:${idx}`);
+        }
+
+        assert.equal(await cache.get('a', 1000), 'a');
+        assert.equal(cache.invalidations.size, 3001);
+
+        // invalidation is forgotten once responses, which were cached before it, have expired
+        clock.tick(1001);
+        cache.invalidateTags('other');
+        assert.equal(cache.invalidations.size, 1);
+
+        // instance, which doesn't know how long responses of the shared store live, doesn't use older ones
+        const other = new Cache(0, store);
+        other.invalidate('test.c');
+        clock.tick(1);
+        other.invalidate('test.d');
+        assert.equal(await other.get('b', 10000), 'b');
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('rejects broadcast with direct reply-to', () => {
+      assert.throws(
+        () => new AMQPTransport({ debug: false, replyMode: 'direct', cacheInvalidation: { enabled: true } }),
+        /cacheInvalidation is not supported/
+      );
+    });
+
+    it('broadcasts & receives invalidations', async () => {
+      transport = createStubbedTransport({ cacheInvalidation: { enabled: true } });
+      ({ publishAsync } = transport._amqp);
+      sinon.stub(transport, 'declareExchange').resolves();
+
+      await transport.invalidateCache({ route: 'test.a', message: { id: 1 } });
+
+      const [exchange, route, message, options] = publishAsync.firstCall.args;
+      assert.equal(exchange, 'microfleet.cache-invalidation');
+      assert.equal(route, '');
+      assert.equal(options.headers['x-cache-invalidation'], '1');
+      assert.equal(transport.declareExchange.firstCall.args[0].type, 'fanout');
+
+      assert.equal(await request('test.b', {}, {}, 1), 1);
+      await tick();
+      transport._privateMessageRouter(JSON.parse(message), { headers: { 'x-cache-invalidation': '1' } });
+      await tick();
+      assert.equal(await request('test.b', {}, {}, 2), 1);
+
+      transport._privateMessageRouter({ route: 'test.b' }, { headers: { 'x-cache-invalidation': '1' } });
+      await tick();
+      assert.equal(await request('test.b', {}, {}, 3), 3);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const sinon = require('sinon');
+
+describe('utils: cancellation', () => {
+  const { createStubbedTransport } = require('./helpers/stub-transport');
+  const { createAbortController } = require('./helpers/abort-controller');
+  const Cancellations = require('../src/utils/cancellation');
+
+  let transport;
+  let publishAsync;
+
+  beforeEach(() => {
+    transport = createStubbedTransport();
+    ({ publishAsync } = transport._amqp);
+  });
+
+  it('tracks in-flight requests', () => {
+    const cancellations = new Cancellations();
+    const token = cancellations.track('id');
+    const listener = sinon.spy();
+
+    token.on('cancel', listener);
+    assert.doesNotThrow(() => token.throwIfCancelled());
+
+    assert.ok(cancellations.cancel('id'));
+    assert.ok(token.cancelled);
+    assert.equal(listener.callCount, 1);
+    assert.throws(() => token.throwIfCancelled(), { name: 'AbortError' });
+
+    // already forgotten
+    assert.ok(cancellations.cancel('id') === false);
+
+    cancellations.track('other');
+    cancellations.release('other');
+    assert.equal(cancellations.tokens.size, 0);
+  });
+
+  it('does not publish aborted requests', async () => {
+    const controller = createAbortController();
+    controller.abort();
+
+    await assert.rejects(transport.publishAndWait('test.abort', {}, { signal: controller.signal }), {
+      name: 'AbortError',
+    });
+
+    assert.equal(publishAsync.callCount, 0);
+  });
+
+  it('rejects pending request once aborted', async () => {
+    const controller = createAbortController();
+    const pending = transport.publishAndWait('test.abort', {}, { signal: controller.signal });
+
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(transport.replyStorage.storage.size, 1);
+
+    controller.abort();
+    await assert.rejects(pending, { name: 'AbortError' });
+
+    assert.equal(transport.replyStorage.storage.size, 0);
+    assert.equal(publishAsync.callCount, 1);
+  });
+
+  it('publishes cancel notice', async () => {
+    const controller = createAbortController();
+    const pending = transport.publishAndWait('test.abort', {}, {
+      signal: controller.signal,
+      cancelNotice: true,
+    });
+
+    await new Promise((resolve) => setImmediate(resolve));
+    controller.abort();
+    await assert.rejects(pending, { name: 'AbortError' });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(publishAsync.callCount, 2);
+
+    const request = publishAsync.firstCall.args[3];
+    const [, route, , notice] = publishAsync.secondCall.args;
+
+    assert.equal(route, 'test.abort');
+    assert.equal(notice.headers['x-cancel'], request.correlationId);
+    assert.ok(notice.replyTo === undefined);
+    assert.ok(notice.signal === undefined);
+  });
+});
@@ -0,0 +1,170 @@
+const Promise = require('bluebird');
+const assert = require('assert');
+const sinon = require('sinon');
+
+describe('utils: circuit breaker', () => {
+  const { createStubbedTransport } = require('./helpers/stub-transport');
+  const CircuitBreaker = require('../src/utils/circuit-breaker');
+
+  const settings = {
+    threshold: 0.5, volume: 4, window: 1000, cooldown: 100,
+  };
+
+  let clock;
+
+  afterEach(() => {
+    if (clock) clock.restore();
+    clock = null;
+  });
+
+  it('opens once failure ratio is exceeded', () => {
+    clock = sinon.useFakeTimers();
+    const circuit = new CircuitBreaker(settings);
+    const onOpen = sinon.spy();
+    circuit.on('open', onOpen);
+
+    circuit.success();
+    circuit.failure();
+    circuit.success();
+    assert.ok(circuit.allow());
+
+    circuit.failure();
+    assert.equal(circuit.state, 'open');
+    assert.equal(onOpen.callCount, 1);
+    assert.ok(circuit.allow() === false);
+  });
+
+  it('forgets failures outside of the window', () => {
+    clock = sinon.useFakeTimers();
+    const circuit = new CircuitBreaker(settings);
+
+    circuit.failure();
+    circuit.failure();
+    circuit.failure();
+    clock.tick(1001);
+    circuit.failure();
+
+    assert.equal(circuit.state, 'closed');
+    assert.deepStrictEqual(circuit.toJSON(), {
+      state: 'closed', requests: 1, failures: 1, openedAt: null,
+    });
+  });
+
+  it('lets single probe through after cooldown', () => {
+    clock = sinon.useFakeTimers();
+    const circuit = new CircuitBreaker({ ...settings, volume: 1 });
+    const onClose = sinon.spy();
+    circuit.on('close', onClose);
+
+    circuit.failure();
+    clock.tick(100);
+
+    const probe = circuit.allow();
+    assert.ok(probe);
+    assert.equal(circuit.state, 'half-open');
+    assert.ok(circuit.allow() === false);
+
+    // failed probe
+    circuit.failure(probe);
+    assert.equal(circuit.state, 'open');
+    assert.ok(circuit.allow() === false);
+
+    clock.tick(100);
+    circuit.success(circuit.allow());
+
+    assert.equal(circuit.state, 'closed');
+    assert.equal(onClose.callCount, 1);
+  });
+
+  it('ignores outcomes of requests admitted before the circuit has opened', () => {
+    clock = sinon.useFakeTimers();
+    const circuit = new CircuitBreaker({ ...settings, volume: 2 });
+    const tickets = [circuit.allow(), circuit.allow(), circuit.allow()];
+
+    circuit.failure(tickets[0]);
+    circuit.failure(tickets[1]);
+    assert.equal(circuit.state, 'open');
+    const { openedAt } = circuit;
+
+    // stale outcomes neither close the circuit nor extend cooldown
+    clock.tick(50);
+    circuit.success(tickets[2]);
+    circuit.failure(tickets[2]);
+    assert.equal(circuit.state, 'open');
+    assert.equal(circuit.openedAt, openedAt);
+
+    clock.tick(50);
+    const probe = circuit.allow();
+    circuit.success(tickets[0]);
+    assert.equal(circuit.state, 'half-open');
+
+    circuit.success(probe);
+    assert.equal(circuit.state, 'closed');
+  });
+
+  it('fails fast when route keeps timing out', async () => {
+    const transport = createStubbedTransport({
+      circuitBreaker: {
+        enabled: true, volume: 2, cooldown: 50,
+      },
+    });
+
+    const { publishAsync } = transport._amqp;
+    const onOpen = sinon.spy();
+    const onClose = sinon.spy();
+
+    transport.on('circuit-open', onOpen);
+    transport.on('circuit-close', onClose);
+
+    for (let i = 0; i < 2; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await assert.rejects(transport.publishAndWait('test.circuit', {}, { timeout: 10 }), { name: 'TimeoutError' });
+    }
+
+    assert.equal(onOpen.callCount, 1);
+    assert.equal(onOpen.firstCall.args[0], 'test.circuit');
+    assert.equal(transport.circuitState('test.circuit').state, 'open');
+    assert.equal(transport.circuitState('test.other').state, 'closed');
+
+    await assert.rejects(transport.publishAndWait('test.circuit', {}), {
+      name: 'CircuitOpenError',
+      route: 'test.circuit',
+    });
+    assert.equal(publishAsync.callCount, 2);
+
+    // probe succeeds
+    await Promise.delay(50);
+    const probe = transport.publishAndWait('test.circuit', {});
+    await Promise.delay(5);
+
+    const { correlationId } = publishAsync.thirdCall.args[3];
+    transport._privateMessageRouter({ data: 'ok' }, { correlationId, headers: {} });
+
+    assert.equal(await probe, 'ok');
+    assert.equal(onClose.callCount, 1);
+    assert.deepStrictEqual(Object.keys(transport.circuitState()), ['test.circuit']);
+  });
+
+  it('treats timeouts replied by the consumer as success', async () => {
+    const transport = createStubbedTransport({
+      circuitBreaker: {
+        enabled: true, volume: 2, cooldown: 50,
+      },
+    });
+
+    const { publishAsync } = transport._amqp;
+
+    for (let i = 0; i < 2; i += 1) {
+      const pending = transport.publishAndWait('test.circuit', {});
+      // eslint-disable-next-line no-await-in-loop
+      await Promise.delay(5);
+
+      const { correlationId } = publishAsync.lastCall.args[3];
+      transport._privateMessageRouter({ error: { name: 'TimeoutError', message: 'downstream' } }, { correlationId, headers: {} });
+      // eslint-disable-next-line no-await-in-loop
+      await assert.rejects(pending, { name: 'TimeoutError' });
+    }
+
+    assert.equal(transport.circuitState('test.circuit').state, 'closed');
+  });
+});
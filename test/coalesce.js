@@ -0,0 +1,69 @@
+const Promise = require('bluebird');
+const assert = require('assert');
+
+describe('request coalescing', () => {
+  const { createStubbedTransport } = require('./helpers/stub-transport');
+
+  let transport;
+  let publishAsync;
+
+  beforeEach(() => {
+    transport = createStubbedTransport({ cacheKeyHeaders: ['x-tenant'] });
+    ({ publishAsync } = transport._amqp);
+  });
+
+  it('resolves identical in-flight requests from one reply', async () => {
+    const requests = [
+      transport.publishAndWait('test.coalesce', { id: 1 }, { coalesce: true }),
+      transport.publishAndWait('test.coalesce', { id: 1 }, { coalesce: true }),
+      transport.publishAndWait('test.coalesce', { id: 2 }, { coalesce: true }),
+      transport.publishAndWait('test.coalesce', { id: 1 }),
+    ];
+
+    await Promise.delay(5);
+    assert.equal(publishAsync.callCount, 3);
+
+    publishAsync.getCalls().forEach((call, idx) => {
+      const { correlationId } = call.args[3];
+      transport._privateMessageRouter({ data: idx }, { correlationId, headers: {} });
+    });
+
+    assert.deepStrictEqual(await Promise.all(requests), [0, 0, 1, 2]);
+    assert.equal(transport._inflight.size, 0);
+  });
+
+  it('does not share responses between tenants & copies them', async () => {
+    const tenant = (id) => ({ coalesce: true, headers: { 'x-tenant': id, 'x-trace': Math.random() } });
+    const requests = [
+      transport.publishAndWait('test.coalesce', {}, tenant('one')),
+      transport.publishAndWait('test.coalesce', {}, tenant('one')),
+      transport.publishAndWait('test.coalesce', {}, tenant('two')),
+    ];
+
+    await Promise.delay(5);
+    assert.equal(publishAsync.callCount, 2);
+
+    publishAsync.getCalls().forEach((call, idx) => {
+      const { correlationId } = call.args[3];
+      transport._privateMessageRouter({ data: { idx } }, { correlationId, headers: {} });
+    });
+
+    const [leader, follower, other] = await Promise.all(requests);
+    assert.deepStrictEqual(follower, leader);
+    assert.notStrictEqual(follower, leader);
+    assert.deepStrictEqual(other, { idx: 1 });
+  });
+
+  it('shares errors & sends new request once settled', async () => {
+    const first = transport.publishAndWait('test.coalesce', {}, { coalesce: true, timeout: 10 });
+    const second = transport.publishAndWait('test.coalesce', {}, { coalesce: true });
+
+    await assert.rejects(first, { name: 'TimeoutError' });
+    await assert.rejects(second, { name: 'TimeoutError' });
+    assert.equal(publishAsync.callCount, 1);
+
+    transport.publishAndWait('test.coalesce', {}, { coalesce: true, timeout: 10 }).catch(() => {});
+    await Promise.delay(5);
+    assert.equal(publishAsync.callCount, 2);
+  });
+});
@@ -0,0 +1,90 @@
+const assert = require('assert');
+
+describe('utils: codecs', () => {
+  const AMQPTransport = require('../src');
+  const Codecs = require('../src/utils/codecs');
+
+  const reverseCodec = {
+    encode: (message) => Buffer.from(String(message).split('').reverse().join('')),
+    decode: (data) => data.toString().split('').reverse().join(''),
+  };
+
+  it('has json codecs registered by default', () => {
+    const codecs = new Codecs();
+
+    assert.ok(codecs.has('application/json'));
+    assert.ok(codecs.has('string/utf8'));
+    assert.ok(codecs.has('text/x-unknown') === false);
+  });
+
+  it('rejects invalid codecs', () => {
+    const codecs = new Codecs();
+
+    assert.throws(() => codecs.register('', reverseCodec));
+    assert.throws(() => codecs.register('text/x-reverse', { encode: reverseCodec.encode }));
+  });
+
+  it('accepts codecs via configuration', async () => {
+    const transport = new AMQPTransport({
+      debug: false,
+      codecs: { 'text/x-reverse': reverseCodec },
+    });
+
+    assert.ok(transport.codecs.has('text/x-reverse'));
+    assert.equal(await transport._parseInput(Buffer.from('cba'), 'text/x-reverse'), 'abc');
+  });
+
+  it('registers codecs at runtime', async () => {
+    const transport = new AMQPTransport({ debug: false });
+    const data = Buffer.from('cba');
+
+    // unknown content-type is passed through
+    assert.equal(await transport._parseInput(data, 'text/x-reverse'), data);
+
+    transport.registerCodec('text/x-reverse', reverseCodec);
+    assert.equal(await transport._parseInput(data, 'text/x-reverse'), 'abc');
+  });
+
+  it('round-trips application/msgpack with extensions', async () => {
+    const { HttpStatusError } = require('common-errors');
+    const codec = new Codecs().get('application/msgpack');
+    const original = {
+      buf: Buffer.from('content'),
+      map: new Map([[1, 'one'], ['two', new Set(['a', 'b'])]]),
+      date: new Date(),
+      nested: [{ deep: Buffer.alloc(3) }],
+    };
+
+    const encoded = await codec.encode(original);
+    assert.ok(Buffer.isBuffer(encoded));
+    assert.deepStrictEqual(await codec.decode(encoded), original);
+
+    const err = await codec.decode(await codec.encode({ error: new HttpStatusError(404, 'not here') }));
+    assert.equal(err.error.name, 'HttpStatusError');
+    assert.equal(err.error.message, 'not here');
+    assert.equal(err.error.statusCode, 404);
+  });
+
+  it('passes raw binary and text payloads as-is', async () => {
+    const codecs = new Codecs();
+    const binary = codecs.get('application/octet-stream');
+    const text = codecs.get('text/plain');
+    const buf = Buffer.from('raw');
+
+    assert.equal(await binary.encode(buf), buf);
+    assert.equal(await binary.decode(buf), buf);
+    assert.deepStrictEqual(await text.encode('raw'), buf);
+    assert.equal(await text.decode(buf), 'raw');
+    assert.throws(() => binary.encode({ not: 'buffer' }), { name: 'ArgumentError' });
+
+    assert.ok(codecs.isRaw('text/plain'));
+    assert.ok(codecs.isRaw('application/json') === false);
+  });
+
+  it('returns parse error when decoder throws', async () => {
+    const transport = new AMQPTransport({ debug: false });
+    const response = await transport._parseInput(Buffer.from('{not json'), 'application/json');
+
+    assert.equal(response.err.name, 'ValidationError');
+  });
+});
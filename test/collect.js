@@ -0,0 +1,92 @@
+const assert = require('assert');
+const sinon = require('sinon');
+
+describe('publishAndCollect', () => {
+  const { createStubbedTransport } = require('./helpers/stub-transport');
+
+  let transport;
+  let publishAsync;
+
+  const reply = (message, name) => {
+    const { correlationId } = publishAsync.firstCall.args[3];
+    transport._privateMessageRouter(message, {
+      correlationId,
+      headers: {},
+      appId: JSON.stringify({ name, host: 'localhost' }),
+    });
+  };
+
+  beforeEach(() => {
+    transport = createStubbedTransport();
+    ({ publishAsync } = transport._amqp);
+  });
+
+  it('resolves once max replies are received', async () => {
+    const pending = transport.publishAndCollect('test.collect', {}, { max: 2 });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    reply({ data: 'first' }, 'alpha');
+    reply({ error: { name: 'NotFoundError', message: 'missing' } }, 'beta');
+
+    const responses = await pending;
+    assert.equal(responses.length, 2);
+    assert.equal(responses[0].data, 'first');
+    assert.equal(responses[0].appId.name, 'alpha');
+    assert.equal(responses[1].error.name, 'NotFoundError');
+    assert.equal(responses[1].appId.name, 'beta');
+    assert.equal(transport.replyStorage.storage.size, 0);
+  });
+
+  it('resolves with replies received within time window', async () => {
+    const pending = transport.publishAndCollect('test.collect', {}, { window: 50 });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    reply({ data: 'only' }, 'alpha');
+
+    const responses = await pending;
+    assert.deepStrictEqual(responses.map((it) => it.data), ['only']);
+
+    const { expiration, headers } = publishAsync.firstCall.args[3];
+    assert.equal(expiration, '45');
+    assert.equal(headers.timeout, 50);
+  });
+
+  it('resolves with empty list when nobody replies', async () => {
+    assert.deepStrictEqual(await transport.publishAndCollect('test.collect', {}, { window: 10 }), []);
+  });
+
+  it('returns dead-lettered request alongside the replies', async () => {
+    const pending = transport.publishAndCollect('test.collect', {}, { max: 2 });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    reply({ data: 'first' }, 'alpha');
+
+    const { correlationId } = publishAsync.firstCall.args[3];
+    const xDeath = [{ queue: 'beta', reason: 'rejected', count: 1 }];
+    transport._privateMessageRouter({ id: 1 }, { correlationId, headers: { 'x-death': xDeath } });
+
+    const responses = await pending;
+    assert.equal(responses.length, 2);
+    assert.equal(responses[0].data, 'first');
+    assert.equal(responses[1].error.name, 'AmqpDLXError');
+    assert.deepStrictEqual(responses[1].error.originalMessage, { id: 1 });
+    assert.ok(responses[1].data === undefined);
+  });
+
+  it('drops replies, which arrive after collecting has finished', async () => {
+    const pending = transport.publishAndCollect('test.collect', {}, { max: 1 });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    reply({ data: 'first' }, 'alpha');
+    assert.equal((await pending).length, 1);
+
+    // logger is shared between instances
+    const logError = sinon.spy(transport.log, 'error');
+    try {
+      reply({ data: 'late' }, 'beta');
+      assert.equal(logError.callCount, 0);
+    } finally {
+      logError.restore();
+    }
+  });
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const Joi = require('joi');
+
+describe('utils: contracts', () => {
+  const AMQPTransport = require('../src');
+  const Contracts = require('../src/utils/contracts');
+
+  const contract = {
+    request: Joi.object({
+      id: Joi.number().integer().required(),
+      limit: Joi.number().default(10),
+    }),
+    response: (data) => {
+      if (typeof data.name !== 'string') {
+        throw new Error('name must be a string');
+      }
+
+      return data;
+    },
+  };
+
+  it('validates requests & responses', () => {
+    const contracts = new Contracts({ 'users.get': contract });
+
+    assert.deepStrictEqual(contracts.validateRequest('users.get', { id: 1 }), { id: 1, limit: 10 });
+    assert.throws(() => contracts.validateRequest('users.get', { id: 'one' }), {
+      name: 'ValidationError',
+      code: 400,
+      field: 'id',
+    });
+
+    assert.deepStrictEqual(contracts.validateResponse('users.get', { name: 'joe' }), { name: 'joe' });
+    assert.throws(() => contracts.validateResponse('users.get', {}), {
+      name: 'ValidationError',
+      message: 'invalid response on route "users.get": name must be a string',
+    });
+
+    // routes without contracts are not validated
+    assert.deepStrictEqual(contracts.validateRequest('users.list', { id: 'one' }), { id: 'one' });
+  });
+
+  it('rejects invalid contracts', () => {
+    const contracts = new Contracts();
+
+    assert.throws(() => contracts.register('users.get', {}));
+    assert.throws(() => contracts.register('users.get', { request: 'schema' }));
+  });
+
+  it('validates outgoing messages', async () => {
+    const transport = new AMQPTransport({ debug: false });
+    const publishAsync = sinon.stub().resolves();
+    transport._amqp = { publishAsync };
+    transport.registerContract('users.get', contract);
+
+    await assert.rejects(transport.publish('users.get', { id: 'one' }), { name: 'ValidationError' });
+    assert.equal(publishAsync.callCount, 0);
+
+    await transport.publish('users.get', { id: 1 });
+    assert.equal(publishAsync.callCount, 1);
+    assert.deepStrictEqual(
+      await transport._parseInput(publishAsync.firstCall.args[2]),
+      { id: 1, limit: 10 }
+    );
+  });
+});
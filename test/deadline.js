@@ -0,0 +1,92 @@
+const Promise = require('bluebird');
+const assert = require('assert');
+const sinon = require('sinon');
+
+describe('deadlines', () => {
+  const { createStubbedTransport, createStubbedConsumer } = require('./helpers/stub-transport');
+  const deadlines = require('../src/utils/deadline');
+
+  let transport;
+  let publishAsync;
+
+  beforeEach(() => {
+    transport = createStubbedTransport({ timeout: 1000 });
+    ({ publishAsync } = transport._amqp);
+  });
+
+  it('sets absolute deadline header', async () => {
+    const now = Date.now();
+    transport.publishAndWait('test.deadline', {}).catch(() => {});
+    await Promise.delay(5);
+
+    const { headers, expiration } = publishAsync.firstCall.args[3];
+    assert.ok(headers['x-deadline'] >= now + 1000);
+    assert.ok(headers['x-deadline'] <= Date.now() + 1000);
+    assert.equal(expiration, '900');
+  });
+
+  it('limits timeout by the inherited deadline', async () => {
+    const deadline = Date.now() + 100;
+
+    await deadlines.run(deadline, async () => {
+      await Promise.delay(1);
+      await assert.rejects(transport.publishAndWait('test.deadline', {}), { name: 'TimeoutError' });
+    });
+
+    const { headers, expiration } = publishAsync.firstCall.args[3];
+    assert.equal(headers['x-deadline'], deadline);
+    assert.ok(Number(expiration) <= 90);
+  });
+
+  it('does not publish requests past explicit deadline', async () => {
+    await assert.rejects(transport.publishAndWait('test.deadline', {}, { deadline: Date.now() - 1 }), {
+      name: 'TimeoutError',
+    });
+
+    assert.equal(publishAsync.callCount, 0);
+  });
+
+  it('provides undefined deadline outside of handlers', () => {
+    assert.ok(deadlines.current() === undefined);
+  });
+
+  describe('consumer', () => {
+    const incoming = (deadline) => ({
+      raw: Buffer.from('{}'),
+      properties: {
+        contentType: 'application/json',
+        routingKey: 'test.deadline',
+        headers: { 'x-deadline': deadline },
+      },
+    });
+
+    it('processes expired requests by default', async () => {
+      const handler = sinon.spy();
+      const consume = await createStubbedConsumer(transport, handler);
+
+      await consume(incoming(Date.now() - 1));
+      await Promise.delay(5);
+
+      assert.equal(handler.callCount, 1);
+    });
+
+    it('drops expired requests with skipExpired', async () => {
+      transport = createStubbedTransport({ skipExpired: true });
+
+      const handler = sinon.spy();
+      const consume = await createStubbedConsumer(transport, handler);
+      const logWarn = sinon.spy(transport.log, 'warn');
+
+      try {
+        await consume(incoming(Date.now() - 1));
+        await consume(incoming(Date.now() + 1000));
+        await Promise.delay(5);
+
+        assert.equal(handler.callCount, 1);
+        assert.ok(logWarn.calledWithMatch({ routingKey: 'test.deadline' }, 'dropped expired request'));
+      } finally {
+        logWarn.restore();
+      }
+    });
+  });
+});
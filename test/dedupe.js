@@ -0,0 +1,191 @@
+const Promise = require('bluebird');
+const assert = require('assert');
+const sinon = require('sinon');
+
+describe('message deduplication', () => {
+  const AMQPTransport = require('../src');
+  const MemoryDedupeStore = require('../src/utils/dedupe-store');
+
+  const incoming = (properties) => ({
+    raw: Buffer.from('{"id":1}'),
+    routingKey: 'test.dedupe',
+    properties: {
+      contentType: 'application/json',
+      headers: {},
+      ...properties,
+    },
+  });
+
+  let transport;
+  let handler;
+  let consume;
+
+  beforeEach(() => {
+    transport = new AMQPTransport({ debug: false, dedupe: { enabled: true } });
+    transport.reply = sinon.stub().resolves();
+
+    // simulates router, which has processed the message
+    handler = sinon.spy(function router(message, properties, raw) {
+      if (raw.dedupeKey !== undefined) {
+        this._rememberReply(raw.dedupeKey, null, { processed: message.id });
+      }
+    });
+
+    consume = transport._onConsume(handler);
+  });
+
+  it('expires remembered messages', () => {
+    const clock = sinon.useFakeTimers();
+    const store = new MemoryDedupeStore(10);
+
+    store.set('key', { state: 'done' }, 100);
+    assert.deepStrictEqual(store.get('key'), { state: 'done' });
+
+    clock.tick(100);
+    assert.ok(store.get('key') === undefined);
+    clock.restore();
+  });
+
+  it('rejects stores without required methods', () => {
+    assert.throws(() => new AMQPTransport({ debug: false, dedupe: { enabled: true, store: { get() {} } } }));
+  });
+
+  it('processes messages without ids', async () => {
+    await consume(incoming({}));
+    await consume(incoming({}));
+    await Promise.delay(5);
+
+    assert.equal(handler.callCount, 2);
+  });
+
+  it('replays reply to redelivered request', async () => {
+    await consume(incoming({ messageId: 'one', replyTo: 'queue', correlationId: 'first' }));
+    await Promise.delay(5);
+
+    const redelivered = incoming({ messageId: 'one', replyTo: 'queue', correlationId: 'second' });
+    redelivered.ack = sinon.spy();
+    await consume(redelivered);
+    await Promise.delay(5);
+
+    assert.equal(handler.callCount, 1);
+    assert.equal(redelivered.ack.callCount, 1);
+    assert.equal(transport.reply.callCount, 1);
+
+    const [properties, message] = transport.reply.firstCall.args;
+    assert.equal(properties.correlationId, 'second');
+    assert.deepStrictEqual(message, { data: { processed: 1 } });
+  });
+
+  it('replies to duplicates of the request being processed', async () => {
+    consume = transport._onConsume(handler = sinon.spy());
+
+    const headers = { 'x-idempotency-key': 'key' };
+    await consume(incoming({ headers, replyTo: 'queue', correlationId: 'first' }));
+    await consume(incoming({ headers, replyTo: 'queue', correlationId: 'second' }));
+    await Promise.delay(5);
+
+    assert.equal(handler.callCount, 1);
+    assert.equal(transport.reply.callCount, 0);
+
+    await transport._rememberReply(handler.firstCall.args[2].dedupeKey, null, 'done');
+    assert.equal(transport.reply.callCount, 1);
+    assert.equal(transport.reply.firstCall.args[0].correlationId, 'second');
+  });
+
+  it('does not track duplicates of fire & forget messages', async () => {
+    consume = transport._onConsume(handler = sinon.spy());
+
+    await consume(incoming({ messageId: 'one' }));
+    await Promise.delay(5);
+
+    assert.equal(handler.callCount, 1);
+    assert.equal(transport._duplicates.size, 0);
+  });
+
+  it('requeues messages processed by another consumer until its lease expires', async () => {
+    const clock = sinon.useFakeTimers({ toFake: ['Date'] });
+    const store = new MemoryDedupeStore(10);
+    const config = { debug: false, dedupe: { enabled: true, store, lease: 100 } };
+
+    // first consumer crashes while processing the message
+    const crashed = new AMQPTransport(config);
+    await crashed._onConsume(sinon.spy())(incoming({ messageId: 'one' }));
+
+    const other = new AMQPTransport(config);
+    const otherHandler = sinon.spy();
+    const otherConsume = other._onConsume(otherHandler);
+
+    try {
+      const redelivered = incoming({ messageId: 'one' });
+      redelivered.ack = sinon.spy();
+      redelivered.retry = sinon.spy();
+      await otherConsume(redelivered);
+
+      assert.equal(redelivered.ack.callCount, 0);
+      await Promise.delay(1100);
+      assert.equal(redelivered.retry.callCount, 1);
+
+      clock.tick(100);
+      await otherConsume(incoming({ messageId: 'one' }));
+      await Promise.delay(5);
+
+      assert.equal(otherHandler.callCount, 1);
+      assert.equal(store.get('test.dedupe:one').owner, other._dedupeOwner);
+    } finally {
+      clock.restore();
+    }
+  });
+
+  it('processes retries of the expired request', async () => {
+    const { createStubbedTransport, createStubbedConsumer } = require('./helpers/stub-transport');
+    transport = createStubbedTransport({ dedupe: { enabled: true }, skipExpired: true });
+    transport.reply = sinon.stub().resolves();
+
+    handler = sinon.spy((message, properties, raw, next) => next(null, 'done'));
+    consume = await createStubbedConsumer(transport, handler);
+
+    const request = (correlationId, deadline) => {
+      const message = incoming({ replyTo: 'queue', correlationId, headers: { 'x-idempotency-key': 'key', 'x-deadline': deadline } });
+      message.properties.routingKey = 'test.dedupe';
+      return message;
+    };
+
+    // retry arrives while expired request is pending & after it has been dropped
+    await consume(request('first', Date.now() - 1));
+    await consume(request('second', Date.now() + 1000));
+    assert.equal(transport._duplicates.get('test.dedupe:key').length, 1);
+    await Promise.delay(10);
+    await consume(request('third', Date.now() + 1000));
+    await Promise.delay(10);
+
+    assert.equal(handler.callCount, 1);
+    assert.deepStrictEqual(transport.reply.getCalls().map((call) => call.args[0].correlationId).sort(), ['second', 'third']);
+    assert.equal(transport._duplicates.size, 0);
+  });
+
+  it('lets a single consumer acquire the message', async () => {
+    const store = new MemoryDedupeStore(10);
+    const handlers = [sinon.spy(), sinon.spy()];
+    const consumers = handlers.map((router) => (
+      new AMQPTransport({ debug: false, dedupe: { enabled: true, store } })._onConsume(router)
+    ));
+
+    await Promise.all(consumers.map((consumer) => consumer(incoming({ messageId: 'one' }))));
+    await Promise.delay(5);
+
+    assert.equal(handlers[0].callCount + handlers[1].callCount, 1);
+  });
+
+  it('processes failed messages again', async () => {
+    consume = transport._onConsume(handler = sinon.spy(function router(message, properties, raw) {
+      this._rememberReply(raw.dedupeKey, new Error('failed'));
+    }));
+
+    await consume(incoming({ messageId: 'one' }));
+    await Promise.delay(5);
+    await consume(incoming({ messageId: 'one' }));
+    await Promise.delay(5);
+
+    assert.equal(handler.callCount, 2);
+  });
+});
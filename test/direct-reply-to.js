@@ -0,0 +1,81 @@
+const Promise = require('bluebird');
+const assert = require('assert');
+const sinon = require('sinon');
+const EventEmitter = require('events');
+
+describe('direct reply-to', () => {
+  const AMQPTransport = require('../src');
+
+  const createConsumer = () => Object.assign(new EventEmitter(), {
+    state: 'open',
+    queuePublish: sinon.spy(),
+    close: sinon.spy(),
+  });
+
+  let transport;
+  let consumer;
+
+  beforeEach(() => {
+    consumer = createConsumer();
+    transport = new AMQPTransport({ debug: false, replyMode: 'direct' });
+    transport._amqp = {
+      consumeAsync: sinon.stub().resolves(consumer),
+      publishAsync: sinon.stub().resolves(),
+    };
+  });
+
+  it('consumes replies from the pseudo-queue without acks', async () => {
+    await transport.createPrivateQueue();
+
+    const [queue, options] = transport._amqp.consumeAsync.firstCall.args;
+    assert.equal(queue, 'amq.rabbitmq.reply-to');
+    assert.equal(options.noAck, true);
+    assert.equal(transport._replyTo, 'amq.rabbitmq.reply-to');
+  });
+
+  it('publishes requests on the consuming channel', async () => {
+    const pending = transport.publishAndWait('test.direct', { id: 1 }, { timeout: 50 });
+    await Promise.delay(10);
+
+    assert.equal(transport._amqp.publishAsync.callCount, 0);
+    assert.equal(consumer.queuePublish.callCount, 1);
+
+    const [, data, options] = consumer.queuePublish.firstCall.args;
+    assert.equal(options.routingKey, 'test.direct');
+    assert.equal(options.replyTo, 'amq.rabbitmq.reply-to');
+    assert.deepStrictEqual(JSON.parse(data), { id: 1 });
+
+    // regular messages are published using publisher channels
+    await transport.publish('test.direct', {});
+    assert.equal(transport._amqp.publishAsync.callCount, 1);
+
+    transport._privateMessageRouter({ data: 'ok' }, { correlationId: options.correlationId, headers: {} });
+    assert.equal(await pending, 'ok');
+  });
+
+  it('rejects requests with publisher confirms or mandatory flag', async () => {
+    await transport.createPrivateQueue();
+
+    await assert.rejects(
+      transport.publishAndWait('test.direct', {}, { confirm: true }),
+      { name: 'NotSupportedError' }
+    );
+    await assert.rejects(
+      transport.publishAndWait('test.direct', {}, { mandatory: true }),
+      { name: 'NotSupportedError' }
+    );
+    assert.equal(consumer.queuePublish.callCount, 0);
+  });
+
+  it('recreates consumer on cancel', async () => {
+    await transport.createPrivateQueue();
+
+    const next = createConsumer();
+    transport._amqp.consumeAsync.resolves(next);
+    consumer.emit('cancel');
+    await Promise.delay(5);
+
+    assert.ok(consumer.close.called);
+    assert.equal(transport._replyConsumer, next);
+  });
+});
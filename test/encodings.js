@@ -0,0 +1,88 @@
+const assert = require('assert');
+const zlib = require('zlib');
+const sinon = require('sinon');
+
+describe('utils: encodings', () => {
+  const AMQPTransport = require('../src');
+  const Encodings = require('../src/utils/encodings');
+
+  const data = Buffer.from(JSON.stringify({ sample: 'data'.repeat(100) }));
+
+  it('round-trips built-in encodings', async () => {
+    const encodings = new Encodings();
+    const names = ['plain', 'identity', 'gzip', 'deflate'];
+
+    if (typeof zlib.brotliCompress === 'function') {
+      names.push('br');
+    }
+
+    for (const name of names) {
+      const encoding = encodings.get(name);
+      // eslint-disable-next-line no-await-in-loop
+      const decompressed = await encoding.decompress(await encoding.compress(data));
+      assert.deepStrictEqual(decompressed, data, name);
+    }
+  });
+
+  it('decodes messages with custom encoding', async () => {
+    const transport = new AMQPTransport({ debug: false });
+    const xor = (buf) => buf.map((byte) => byte ^ 0xff); // eslint-disable-line no-bitwise
+    const compressed = xor(data);
+
+    // unknown encoding
+    const response = await transport._parseInput(compressed, 'application/json', 'xor');
+    assert.equal(response.err.name, 'ValidationError');
+
+    transport.registerEncoding('xor', { compress: xor, decompress: xor });
+    assert.deepStrictEqual(
+      await transport._parseInput(compressed, 'application/json', 'xor'),
+      { sample: 'data'.repeat(100) }
+    );
+  });
+
+  it('compresses payloads above threshold only', async () => {
+    const transport = new AMQPTransport({
+      debug: false,
+      defaultOpts: { contentEncoding: 'gzip', compressThreshold: 100 },
+    });
+    const publishAsync = sinon.stub().resolves();
+    transport._amqp = { publishAsync };
+
+    await transport.sendToServer('', 'small', { small: true }, {});
+    await transport.sendToServer('', 'large', { large: 'data'.repeat(100) }, {});
+    await transport.sendToServer('', 'forced', { small: true }, { gzip: true });
+
+    const [small, large, forced] = publishAsync.args;
+    assert.equal(small[3].contentEncoding, 'plain');
+    assert.deepStrictEqual(await transport._parseInput(small[2], 'application/json', 'plain'), { small: true });
+    assert.equal(large[3].contentEncoding, 'gzip');
+    assert.deepStrictEqual(
+      await transport._parseInput(large[2], 'application/json', 'gzip'),
+      { large: 'data'.repeat(100) }
+    );
+    assert.equal(forced[3].contentEncoding, 'gzip');
+  });
+
+  it('negotiates reply content-encoding', async () => {
+    const transport = new AMQPTransport({ debug: false });
+    const publishAsync = sinon.stub().resolves();
+    transport._amqp = { publishAsync };
+
+    const properties = { replyTo: 'reply-queue', correlationId: 'id', headers: {} };
+    await transport.reply({ ...properties, contentEncoding: 'gzip' }, { data: 'gzip' });
+    await transport.reply({ ...properties, headers: { 'accept-encoding': 'zstd, deflate;q=0.5, gzip' } }, { data: 'deflate' });
+    await transport.reply(properties, { data: 'plain' });
+
+    const [gzip, deflate, plain] = publishAsync.args;
+    assert.equal(gzip[3].contentEncoding, 'gzip');
+    assert.equal(deflate[3].contentEncoding, 'deflate');
+    assert.equal(plain[3].contentEncoding, 'plain');
+  });
+
+  it('returns parse error on corrupted data', async () => {
+    const transport = new AMQPTransport({ debug: false });
+    const response = await transport._parseInput(data, 'application/json', 'gzip');
+
+    assert.equal(response.err.name, 'ValidationError');
+  });
+});
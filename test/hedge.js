@@ -0,0 +1,54 @@
+const Promise = require('bluebird');
+const assert = require('assert');
+const sinon = require('sinon');
+
+describe('hedged requests', () => {
+  const { createStubbedTransport } = require('./helpers/stub-transport');
+
+  let transport;
+  let publishAsync;
+
+  const reply = (idx, message) => {
+    const { correlationId } = publishAsync.getCall(idx).args[3];
+    return transport._privateMessageRouter(message, { correlationId, headers: {} });
+  };
+
+  beforeEach(() => {
+    transport = createStubbedTransport();
+    ({ publishAsync } = transport._amqp);
+  });
+
+  it('does not hedge fast requests', async () => {
+    const pending = transport.publishAndWait('test.hedge', {}, { hedge: { after: 50 } });
+    await Promise.delay(5);
+
+    reply(0, { data: 'fast' });
+    assert.equal(await pending, 'fast');
+
+    await Promise.delay(60);
+    assert.equal(publishAsync.callCount, 1);
+  });
+
+  it('resolves with the first reply to duplicate requests', async () => {
+    const logError = sinon.spy(transport.log, 'error');
+    const pending = transport.publishAndWait('test.hedge', {}, { hedge: { after: 10, max: 2 } });
+    await Promise.delay(35);
+
+    assert.equal(publishAsync.callCount, 3);
+    assert.equal(new Set(publishAsync.getCalls().map((call) => call.args[3].correlationId)).size, 3);
+
+    reply(1, { data: 'second' });
+    assert.equal(await pending, 'second');
+    assert.equal(transport.replyStorage.storage.size, 0);
+
+    // late replies are dropped silently
+    try {
+      reply(0, { data: 'first' });
+      reply(2, { data: 'third' });
+      assert.equal(logError.callCount, 0);
+    } finally {
+      // logger is shared between instances
+      logError.restore();
+    }
+  });
+});
@@ -0,0 +1,25 @@
+const EventEmitter = require('events');
+
+/**
+ * Minimal AbortController, global one isn't available before node 15. Its signal only
+ * implements the part of AbortSignal requests rely on: `aborted` flag and
+ * add/removeEventListener of the `abort` event
+ * @returns {{ signal: Object, abort: Function }}
+ */
+exports.createAbortController = () => {
+  const emitter = new EventEmitter();
+  const signal = {
+    aborted: false,
+    addEventListener: (event, listener) => emitter.on(event, listener),
+    removeEventListener: (event, listener) => emitter.removeListener(event, listener),
+  };
+
+  return {
+    signal,
+    abort() {
+      if (signal.aborted === true) return;
+      signal.aborted = true;
+      emitter.emit('abort');
+    },
+  };
+};
@@ -0,0 +1,38 @@
+const EventEmitter = require('events');
+const sinon = require('sinon');
+const AMQPTransport = require('../../src');
+
+/**
+ * Creates transport, which publishes messages with `_amqp.publishAsync` stub instead of
+ * the broker connection and awaits replies in a fake private queue. Replies are delivered
+ * by passing them to `transport._privateMessageRouter`
+ * @param  {Object} [config]
+ * @returns {AMQPTransport}
+ */
+exports.createStubbedTransport = (config = {}) => {
+  const transport = new AMQPTransport({ debug: false, ...config });
+  transport._amqp = { publishAsync: sinon.stub().resolves() };
+  transport._replyTo = 'private-queue';
+
+  return transport;
+};
+
+/**
+ * Creates consumed queue without the broker connection
+ * @param  {AMQPTransport} transport
+ * @param  {Function} messageHandler - (message, properties, raw, next) => void
+ * @returns {Promise<Function>} (incoming) => Promise, passes raw AMQP message to the router
+ */
+exports.createStubbedConsumer = async (transport, messageHandler) => {
+  const consumer = Object.assign(new EventEmitter(), { consumerTag: 'stub' });
+  const queue = { queueOptions: { queue: 'stub-queue' } };
+
+  let router;
+  sinon.stub(transport, 'createQueue').callsFake(async (params) => {
+    ({ router } = params);
+    return { queue, consumer };
+  });
+
+  await transport.createConsumedQueue(messageHandler);
+  return transport._onConsume(router);
+};
@@ -0,0 +1,102 @@
+const Promise = require('bluebird');
+const assert = require('assert');
+const sinon = require('sinon');
+
+describe('retry policies', () => {
+  const { createStubbedTransport } = require('./helpers/stub-transport');
+
+  let transport;
+  let publishAsync;
+
+  const createTransport = (config) => {
+    transport = createStubbedTransport(config);
+    ({ publishAsync } = transport._amqp);
+  };
+
+  const published = () => publishAsync.getCalls().map((call) => call.args[3]);
+
+  it('retries timed out requests with the same idempotency key', async () => {
+    createTransport();
+
+    await assert.rejects(transport.publishAndWait('test.retry', {}, {
+      timeout: 20,
+      retry: { attempts: 2, min: 0, max: 0 },
+    }), { name: 'TimeoutError' });
+
+    const requests = published();
+    assert.equal(requests.length, 3);
+    assert.equal(new Set(requests.map((it) => it.correlationId)).size, 3);
+    assert.equal(new Set(requests.map((it) => it.headers['x-idempotency-key'])).size, 1);
+  });
+
+  it('does not leak idempotency key into reused options', async () => {
+    createTransport();
+
+    const options = { timeout: 20, retry: { attempts: 1, min: 0, max: 0 }, headers: { 'x-custom': 'value' } };
+    await assert.rejects(transport.publishAndWait('test.retry', { id: 1 }, options), { name: 'TimeoutError' });
+    await assert.rejects(transport.publishAndWait('test.retry', { id: 2 }, options), { name: 'TimeoutError' });
+
+    const keys = published().map((it) => it.headers['x-idempotency-key']);
+    assert.equal(keys.length, 4);
+    assert.equal(new Set(keys).size, 2);
+    assert.deepStrictEqual(options.headers, { 'x-custom': 'value' });
+  });
+
+  it('uses per-route policy and predicate', async () => {
+    const predicate = sinon.spy(() => true);
+    createTransport({
+      retry: { 'test.retry': { attempts: 1, min: 0, predicate } },
+    });
+
+    const pending = transport.publishAndWait('test.retry', {}, { timeout: 20 });
+    await Promise.delay(30);
+
+    // respond to the second attempt
+    const { correlationId } = published()[1];
+    transport._privateMessageRouter({ data: 'ok' }, { correlationId, headers: {} });
+
+    assert.equal(await pending, 'ok');
+    assert.equal(predicate.callCount, 1);
+
+    // other routes are not retried
+    await assert.rejects(transport.publishAndWait('test.other', {}, { timeout: 10 }), { name: 'TimeoutError' });
+    assert.equal(publishAsync.callCount, 3);
+  });
+
+  it('does not retry remote errors & disabled policies', async () => {
+    createTransport({
+      retry: { 'test.retry': { attempts: 3, min: 0 } },
+    });
+
+    const pending = transport.publishAndWait('test.retry', {});
+    await Promise.delay(5);
+
+    const { correlationId } = published()[0];
+    transport._privateMessageRouter({ error: { name: 'NotFoundError', message: 'missing' } }, { correlationId, headers: {} });
+
+    await assert.rejects(pending, { name: 'NotFoundError' });
+    await assert.rejects(transport.publishAndWait('test.retry', {}, { timeout: 10, retry: false }), {
+      name: 'TimeoutError',
+    });
+
+    assert.equal(publishAsync.callCount, 2);
+    assert.ok(published()[1].headers['x-idempotency-key'] === undefined);
+  });
+
+  it('does not retry timeouts replied by the consumer', async () => {
+    createTransport({
+      retry: { 'test.retry': { attempts: 3, min: 0 } },
+    });
+
+    const pending = transport.publishAndWait('test.retry', {});
+    await Promise.delay(5);
+
+    // i.e. downstream request of the consumer has timed out
+    const { correlationId } = published()[0];
+    transport._privateMessageRouter({ error: { name: 'TimeoutError', message: 'downstream' } }, { correlationId, headers: {} });
+
+    await assert.rejects(pending, { name: 'TimeoutError', message: /downstream/ });
+    await Promise.delay(5);
+    assert.equal(publishAsync.callCount, 1);
+  });
+});
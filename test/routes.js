@@ -0,0 +1,126 @@
+const assert = require('assert');
+const sinon = require('sinon');
+
+describe('utils: routes', () => {
+  const AMQPTransport = require('../src');
+  const Routes = require('../src/utils/routes');
+
+  it('matches topic patterns', () => {
+    const matches = (pattern, routingKey) => Routes.matchWords(pattern.split('.'), routingKey.split('.'));
+
+    assert.ok(matches('users.get', 'users.get'));
+    assert.ok(matches('users.*', 'users.get'));
+    assert.ok(matches('*.get', 'users.get'));
+    assert.ok(matches('users.#', 'users'));
+    assert.ok(matches('users.#', 'users.get.one'));
+    assert.ok(matches('#.one', 'users.get.one'));
+    assert.ok(matches('#', 'users.get'));
+    assert.ok(matches('users.#.one', 'users.one'));
+
+    assert.ok(matches('users.*', 'users') === false);
+    assert.ok(matches('users.*', 'users.get.one') === false);
+    assert.ok(matches('users.get', 'users.list') === false);
+    assert.ok(matches('*', 'users.get') === false);
+    assert.ok(matches('users.#.one', 'users.get.two') === false);
+  });
+
+  it('prefers exact matches over patterns registered earlier', () => {
+    const routes = new Routes();
+    const wildcard = () => {};
+    const exact = () => {};
+
+    routes.add('users.#', wildcard).add('users.get', exact);
+
+    assert.equal(routes.match('users.get'), exact);
+    assert.equal(routes.match('users.list'), wildcard);
+    assert.equal(routes.match('posts.get'), undefined);
+    assert.deepStrictEqual(routes.patterns(), ['users.#', 'users.get']);
+    assert.throws(() => routes.add('', exact));
+    assert.throws(() => routes.add('users.*'));
+  });
+
+  describe('transport', () => {
+    let transport;
+
+    beforeEach(() => {
+      transport = new AMQPTransport({ debug: false });
+    });
+
+    it('passes messages to handlers of the route', () => {
+      const handler = sinon.spy();
+      const next = sinon.spy();
+      const raw = { ack: sinon.spy() };
+
+      transport.routes.add('users.*', handler);
+
+      transport._routeMessage({ id: 1 }, { routingKey: 'users.get' }, raw, next);
+      assert.ok(handler.calledOnceWithExactly({ id: 1 }, { routingKey: 'users.get' }, raw, next));
+
+      transport._routeMessage({ id: 1 }, { routingKey: 'posts.get' }, raw, next);
+      assert.equal(raw.ack.callCount, 1);
+      assert.equal(next.firstCall.args[0].name, 'NotFoundError');
+    });
+
+    it('binds & unbinds patterns on consumed queues', async () => {
+      const queue = { queueOptions: { queue: 'routed' } };
+      const establishConsumer = () => {};
+      const stopped = () => {};
+
+      const listening = () => {};
+      const listeningQueue = { queueOptions: { queue: 'listening' } };
+
+      transport._routedConsumers.set(establishConsumer, []).set(stopped, []).set(listening, ['users.*']);
+      transport._consumers.set(establishConsumer, {}).set(listening, {});
+      transport._queues.set(establishConsumer, queue).set(listening, listeningQueue);
+      transport._queues.set(stopped, { queueOptions: { queue: 'stopped' } });
+
+      const bindExchange = sinon.stub(transport, 'bindExchange').resolves();
+      const unbindExchange = sinon.stub(transport, 'unbindExchange').resolves();
+
+      await transport.route('users.*', () => {});
+      assert.ok(transport.routes.has('users.*'));
+      assert.equal(bindExchange.callCount, 2);
+      assert.deepStrictEqual(bindExchange.firstCall.args.slice(0, 2), [queue, 'users.*']);
+
+      // listen route of the queue is kept
+      await transport.unroute('users.*');
+      await transport.unroute('users.*');
+      assert.ok(transport.routes.has('users.*') === false);
+      assert.equal(unbindExchange.callCount, 1);
+      assert.deepStrictEqual(unbindExchange.firstCall.args, [queue, 'users.*']);
+    });
+
+    it('binds patterns only to queues shared by the routes', async () => {
+      const EventEmitter = require('events');
+
+      transport.routes.add('users.*', () => {});
+      sinon.stub(transport, 'createQueue').callsFake(async () => ({
+        queue: { queueOptions: { queue: 'routed' } },
+        consumer: Object.assign(new EventEmitter(), { consumerTag: 'stub' }),
+      }));
+      const bind = sinon.stub(transport, 'bindQueueToExchangeOnRoutes').resolves();
+
+      // i.e. queue per route of multiConnect
+      await transport.createConsumedQueue(null, ['posts.get'], {}, false);
+      assert.deepStrictEqual(bind.firstCall.args[0], ['posts.get']);
+      assert.equal(transport._routedConsumers.size, 0);
+
+      await transport.createConsumedQueue(null, ['posts.get']);
+      assert.deepStrictEqual(bind.secondCall.args[0], ['posts.get', 'users.*']);
+      assert.equal(transport._routedConsumers.size, 1);
+    });
+
+    it('does not bind patterns to headers exchange', async () => {
+      transport = new AMQPTransport({ debug: false, bindPersistantQueueToHeadersExchange: true });
+      transport.routes.add('users.*', () => {});
+
+      sinon.stub(transport, 'bindExchange').resolves();
+      const bindHeadersExchange = sinon.stub(transport, 'bindHeadersExchange').resolves();
+
+      const queue = {};
+      await transport.bindQueueToExchangeOnRoutes(['users.get', ...transport.routes.patterns()], queue);
+      assert.deepStrictEqual(bindHeadersExchange.firstCall.args[1], ['users.get']);
+      assert.deepStrictEqual(queue._routes, ['users.get', 'users.*']);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/* global BigInt */
+const assert = require('assert');
+const stringify = require('json-stringify-safe');
+
+describe('utils: serialization', () => {
+  const Errors = require('common-errors');
+  const {
+    jsonSerializer,
+    jsonDeserializer,
+    registerType,
+    registerError,
+    dateType,
+    urlType,
+  } = require('../src/utils/serialization');
+  const { wrapError } = require('../src/helpers');
+  const { msgpackCodec } = require('../src/utils/msgpack');
+
+  const roundtrip = (value) => JSON.parse(stringify(value, jsonSerializer), jsonDeserializer);
+
+  class Money {
+    constructor(amount, currency) {
+      this.amount = amount;
+      this.currency = currency;
+    }
+  }
+
+  before('register custom type', () => {
+    registerType('money', {
+      Class: Money,
+      version: 2,
+      serialize: (value) => `${value.amount} ${value.currency}`,
+      deserialize: (data, version) => {
+        assert.equal(version, 2);
+        const [amount, currency] = data.split(' ');
+        return new Money(Number(amount), currency);
+      },
+    });
+  });
+
+  it('keeps wire format of older versions by default', () => {
+    const date = new Date(0);
+    const url = new URL('https://example.com/');
+    const map = new Map([['a', 1], ['__proto__', 2]]);
+    const serialized = JSON.parse(stringify({ date, url, map }, jsonSerializer));
+
+    assert.deepStrictEqual(serialized, {
+      date: date.toISOString(),
+      url: url.href,
+      map: { type: 'ms-map', data: JSON.parse('{"a":1,"__proto__":2}') },
+    });
+
+    // same as older versions decode it
+    assert.deepStrictEqual(new Map(Object.entries(serialized.map.data)), map);
+    assert.deepStrictEqual(roundtrip({ map }).map, map);
+
+    // non-string keys can't be represented by an object
+    const entries = new Map([[1, 'a']]);
+    assert.deepStrictEqual(JSON.parse(stringify(entries, jsonSerializer)), { type: 'ms-map-entries', data: [[1, 'a']] });
+  });
+
+  it('round-trips built-in types', () => {
+    registerType('ms-date', dateType);
+    registerType('ms-url', urlType);
+
+    const original = {
+      date: new Date(),
+      bigint: BigInt('12345678901234567890'),
+      url: new URL('https://example.com/path?query=1'),
+      float: new Float32Array([1.5, -2.25]),
+      bytes: new Uint8Array([1, 2, 3]),
+      set: new Set([1, 'two']),
+      map: new Map([[1, new Date(0)], ['nested', new Map([[true, new Set([null])]])]]),
+      buffer: Buffer.from('buffer'),
+    };
+
+    try {
+      assert.deepStrictEqual(roundtrip(original), original);
+      assert.ok(Number.isNaN(roundtrip({ date: new Date(NaN) }).date.getTime()));
+    } finally {
+      registerType('ms-date', { deserialize: dateType.deserialize });
+      registerType('ms-url', { deserialize: urlType.deserialize });
+    }
+  });
+
+  it('preserves nested errors', () => {
+    const error = new Error('outer');
+    error.cause = new TypeError('inner');
+
+    const deserialized = roundtrip({ error });
+    assert.ok(deserialized.error instanceof Error);
+    assert.ok(deserialized.error.cause instanceof Error);
+    assert.equal(deserialized.error.cause.message, 'inner');
+  });
+
+  it('rehydrates errors as their original classes', () => {
+    const inner = new TypeError('inner');
+    const errors = [
+      new Errors.NotFoundError('entity', inner),
+      new Errors.HttpStatusError(418, 'teapot'),
+      new Errors.ValidationError('invalid', 'E_CODE', 'field'),
+      new Errors.io.SocketError('socket'),
+      new RangeError('range'),
+    ];
+
+    for (const original of errors) {
+      const { error } = roundtrip({ error: original });
+
+      assert.ok(error instanceof original.constructor, original.name);
+      assert.equal(error.name, original.name);
+      assert.equal(error.message, original.message);
+      assert.equal(error.stack, original.stack);
+    }
+
+    const [notFound, httpStatus, validation] = errors.map((error) => roundtrip(error));
+    assert.ok(notFound.inner_error instanceof TypeError);
+    assert.equal(httpStatus.statusCode, 418);
+    assert.equal(httpStatus.status_code, 418);
+    assert.equal(validation.code, 'E_CODE');
+    assert.equal(validation.field, 'field');
+  });
+
+  it('rehydrates custom and unknown errors', () => {
+    const CustomError = Errors.helpers.generateClass('CustomError');
+
+    const unknown = roundtrip(new CustomError('unknown'));
+    assert.equal(unknown.name, 'CustomError');
+    assert.ok(unknown instanceof Error);
+    assert.ok((unknown instanceof CustomError) === false);
+
+    registerError(CustomError);
+    const known = roundtrip(new CustomError('known'));
+    assert.ok(known instanceof CustomError);
+    assert.equal(known.message, 'known');
+  });
+
+  it('wraps plain error objects', () => {
+    const error = wrapError({
+      name: 'HttpStatusError',
+      message: 'not found',
+      statusCode: 404,
+      cause: { name: 'NotFoundError', message: 'missing' },
+    });
+
+    assert.ok(error instanceof Errors.HttpStatusError);
+    assert.equal(error.statusCode, 404);
+    assert.ok(error.cause instanceof Errors.NotFoundError);
+    assert.equal(error.cause.message, 'missing');
+  });
+
+  it('round-trips custom registered types', () => {
+    const original = { price: new Money(10, 'USD') };
+    const serialized = stringify(original, jsonSerializer);
+
+    assert.equal(serialized, '{"price":{"type":"money","data":"10 USD","v":2}}');
+    assert.deepStrictEqual(JSON.parse(serialized, jsonDeserializer), original);
+  });
+
+  it('round-trips tagged types with msgpack', () => {
+    const original = {
+      price: new Money(5, 'EUR'),
+      bigint: BigInt(42),
+      url: new URL('https://example.com'),
+      float: new Float64Array([Math.PI]),
+    };
+
+    assert.deepStrictEqual(msgpackCodec.decode(msgpackCodec.encode(original)), original);
+  });
+});
@@ -0,0 +1,133 @@
+const assert = require('assert');
+const sinon = require('sinon');
+
+describe('utils: streaming', () => {
+  const { createStubbedTransport } = require('./helpers/stub-transport');
+  const ResponseIterator = require('../src/utils/response-iterator');
+  const ReplyStream = require('../src/utils/reply-stream');
+  const Cancellations = require('../src/utils/cancellation');
+
+  const collect = async (iterator) => {
+    const chunks = [];
+    for await (const chunk of iterator) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  };
+
+  it('delivers chunks in order', async () => {
+    const iterator = new ResponseIterator();
+
+    assert.ok(iterator.push(1, 'b') === false);
+    assert.ok(iterator.push(3, undefined, true) === false);
+    assert.ok(iterator.push(0, 'a') === false);
+    assert.ok(iterator.push(2, 'c'));
+
+    assert.deepStrictEqual(await collect(iterator), ['a', 'b', 'c']);
+  });
+
+  it('rejects pending read on failure', async () => {
+    const iterator = new ResponseIterator();
+    const read = iterator.next();
+
+    iterator.fail(new Error('boom'));
+    await assert.rejects(read, { message: 'boom' });
+    assert.deepStrictEqual(await iterator.next(), { value: undefined, done: true });
+  });
+
+  it('notifies when caller stops iterating', async () => {
+    const iterator = new ResponseIterator();
+    iterator.onReturn = sinon.spy();
+    iterator.push(0, 'a');
+
+    for await (const chunk of iterator) {
+      assert.equal(chunk, 'a');
+      break;
+    }
+
+    assert.equal(iterator.onReturn.callCount, 1);
+  });
+
+  it('writes sequenced chunks', async () => {
+    const transport = { reply: sinon.stub().resolves() };
+    const raw = {
+      properties: { correlationId: 'id', replyTo: 'queue' },
+      cancellation: new Cancellations.CancellationToken(),
+    };
+    const stream = new ReplyStream(transport, raw, sinon.stub());
+
+    await stream.write('a', { headers: { 'x-custom': 'value' } });
+    await stream.finish(null, 'b');
+    await assert.rejects(stream.write('c'), { name: 'InvalidOperationError' });
+
+    const calls = transport.reply.getCalls().map((call) => [call.args[1], call.args[4].headers]);
+    assert.deepStrictEqual(calls, [
+      [{ data: 'a' }, { 'x-custom': 'value', 'x-stream-seq': 0 }],
+      [{ data: 'b' }, { 'x-stream-seq': 1 }],
+      [{ error: null }, { 'x-stream-seq': 2, 'x-stream-end': true }],
+    ]);
+  });
+
+  it('streams replies through publishAndStream', async () => {
+    const transport = createStubbedTransport();
+    const { publishAsync } = transport._amqp;
+
+    const iterator = transport.publishAndStream('test.stream', {});
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const { correlationId, headers } = publishAsync.firstCall.args[3];
+    assert.equal(headers['x-stream'], true);
+
+    const reply = (message, seq, last) => transport._privateMessageRouter(message, {
+      correlationId,
+      headers: last ? { 'x-stream-seq': seq, 'x-stream-end': true } : { 'x-stream-seq': seq },
+    });
+
+    reply({ data: 2 }, 1);
+    reply({ data: 1 }, 0);
+    reply({}, 2, true);
+
+    assert.deepStrictEqual(await collect(iterator), [1, 2]);
+    assert.equal(transport.replyStorage.storage.size, 0);
+  });
+
+  it('terminates stream with remote error', async () => {
+    const transport = createStubbedTransport();
+
+    const iterator = transport.publishAndStream('test.stream', {});
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const { correlationId } = transport._amqp.publishAsync.firstCall.args[3];
+    transport._privateMessageRouter({ data: 1 }, { correlationId, headers: { 'x-stream-seq': 0 } });
+    transport._privateMessageRouter({ error: { name: 'NotFoundError', message: 'gone' } }, {
+      correlationId,
+      headers: { 'x-stream-seq': 1, 'x-stream-end': true },
+    });
+
+    assert.deepStrictEqual(await iterator.next(), { value: 1, done: false });
+    await assert.rejects(iterator.next(), { name: 'NotFoundError' });
+  });
+
+  it('drops chunks, which arrive after caller has stopped iterating', async () => {
+    const transport = createStubbedTransport();
+
+    const iterator = transport.publishAndStream('test.stream', {});
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const { correlationId } = transport._amqp.publishAsync.firstCall.args[3];
+    transport._privateMessageRouter({ data: 1 }, { correlationId, headers: { 'x-stream-seq': 0 } });
+
+    assert.deepStrictEqual(await iterator.next(), { value: 1, done: false });
+    await iterator.return();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    // logger is shared between instances
+    const logError = sinon.spy(transport.log, 'error');
+    try {
+      transport._privateMessageRouter({ data: 2 }, { correlationId, headers: { 'x-stream-seq': 1 } });
+      assert.equal(logError.callCount, 0);
+    } finally {
+      logError.restore();
+    }
+  });
+});